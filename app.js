@@ -31,14 +31,39 @@ const transformer = new Konva.Transformer({
 });
 imageLayer.add(transformer);
 
+// Layer for the artboard (export frame), kept above the images
+const artboardLayer = new Konva.Layer();
+stage.add(artboardLayer);
+
+const artboardTransformer = new Konva.Transformer({
+    rotateEnabled: false,
+    ignoreStroke: true,
+    boundBoxFunc: (oldBox, newBox) => {
+        if (newBox.width < 20 || newBox.height < 20) {
+            return oldBox;
+        }
+        return newBox;
+    }
+});
+artboardLayer.add(artboardTransformer);
+
 // State
 let imageCount = 0;
 let cropHandles = [];
 let cropHandlesNodeId = null;
 let contextMenu = null;
 let progressModal = null;
+let exportDialog = null;
+let loadReportDialog = null;
+let recoveryDialog = null;
+let relinkDialog = null;
+let exportPreview = null;
+let activeExport = null; // { cancelled, worker, reject } while an export renders
 let opacityInput = { firstDigit: null, timeout: null };
 let opacityLabel = null;
+let artboard = null;
+let artboardMask = null;
+let regionSelect = null;
 
 // Undo/Redo State
 const undoStack = [];
@@ -49,8 +74,18 @@ let nudgeUndoPushed = false;
 let hasUnsavedChanges = false;
 let currentProjectHandle = null;
 let currentProjectName = 'project.montage';
+let projectCreatedAt = null; // ISO time the project was first saved
+
+// Encoded source of each decoded image, { blob, format, hash, link }, so
+// projects can store the original bytes instead of re-encoding. link is
+// { path } for images linked to a file in the source folder rather than
+// embedded. Keyed by the Image, which duplicates share.
+const imageSources = new WeakMap();
 
 // Constants
+// Shown in the corner and written into saved projects
+const APP_VERSION = document.querySelector('.instructions .version').textContent.trim();
+
 const BASE_HANDLE_SIZE = 12;
 const BASE_ANCHOR_SIZE = 10;
 const HANDLE_COLOR = '#4285f4';
@@ -81,27 +116,14 @@ function updateControlSizes() {
         handle.height(isHorizontal ? handleSize : handleSize * 2);
         handle.strokeWidth(1 / stage.scaleX());
     });
-}
 
-const blendModes = [
-    { value: 'source-over', label: 'Normal' },
-    { value: 'screen', label: 'Screen' },
-    { value: 'multiply', label: 'Multiply' },
-    { value: 'lighten', label: 'Lighten' },
-    { value: 'darken', label: 'Darken' },
-    { value: 'overlay', label: 'Overlay' },
-    { value: 'soft-light', label: 'Soft Light' },
-    { value: 'difference', label: 'Difference' }
-];
+    updateArtboardControls();
+}
 
 // ============================================
 // Utility Functions
 // ============================================
 
-function generateImageId() {
-    return 'img_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 9);
-}
-
 function getSelectedImage() {
     const nodes = transformer.nodes();
     return nodes.length > 0 ? nodes[0] : null;
@@ -136,25 +158,40 @@ function captureState() {
 
     return {
         version: 2,
-        images: sortedImages.map((img, index) => ({
-            id: img.getAttr('imageId'),
-            imageRef: img.getAttr('originalImage') || img.image(),
-            originalWidth: img.getAttr('originalWidth'),
-            originalHeight: img.getAttr('originalHeight'),
-            x: img.x(),
-            y: img.y(),
-            scaleX: img.scaleX(),
-            scaleY: img.scaleY(),
-            rotation: img.rotation(),
-            cropBounds: { ...img.getAttr('cropBounds') },
-            blendMode: img.getAttr('blendMode') || 'source-over',
-            opacity: img.opacity(),
-            name: img.name(),
-            zIndex: index
-        }))
+        images: sortedImages.map((img, index) => captureImageState(img, index)),
+        artboard: getArtboardState()
+    };
+}
+
+// A Konva image as a layer state, in document coordinates. Export layout
+// (compositor.js) works on these too. link is the source's link, which
+// duplicates share, so undo covers linking and embedding.
+function captureImageState(img, zIndex = img.zIndex()) {
+    const source = imageSources.get(img.getAttr('originalImage') || img.image());
+    return {
+        id: img.getAttr('imageId'),
+        imageRef: img.getAttr('originalImage') || img.image(),
+        originalWidth: img.getAttr('originalWidth'),
+        originalHeight: img.getAttr('originalHeight'),
+        x: img.x(),
+        y: img.y(),
+        scaleX: img.scaleX(),
+        scaleY: img.scaleY(),
+        rotation: img.rotation(),
+        cropBounds: { ...img.getAttr('cropBounds') },
+        blendMode: img.getAttr('blendMode') || 'source-over',
+        opacity: img.opacity(),
+        name: img.name(),
+        metadata: img.getAttr('metadata') || null,
+        link: source && source.link ? { ...source.link } : null,
+        zIndex
     };
 }
 
+function getLayerStates(images) {
+    return images.map(img => captureImageState(img));
+}
+
 function createKonvaImageFromState(imgState) {
     const originalWidth = imgState.originalWidth;
     const originalHeight = imgState.originalHeight;
@@ -182,6 +219,7 @@ function createKonvaImageFromState(imgState) {
     konvaImage.setAttr('originalHeight', originalHeight);
     konvaImage.setAttr('cropBounds', cropBounds);
     konvaImage.setAttr('blendMode', imgState.blendMode);
+    konvaImage.setAttr('metadata', imgState.metadata || null);
     konvaImage.globalCompositeOperation(imgState.blendMode);
     konvaImage.opacity(imgState.opacity);
 
@@ -215,6 +253,13 @@ function restoreState(state) {
     // Recreate images from state
     const sortedImages = [...state.images].sort((a, b) => a.zIndex - b.zIndex);
     sortedImages.forEach(imgState => {
+        // States from undo carry the link; loaded ones leave the source as it is
+        const source = imageSources.get(imgState.imageRef);
+        if (source && imgState.link !== undefined) {
+            if (imgState.link) source.link = { ...imgState.link };
+            else delete source.link;
+        }
+
         const konvaImage = createKonvaImageFromState(imgState);
         setupImageHandlers(konvaImage);
         imageLayer.add(konvaImage);
@@ -234,6 +279,7 @@ function restoreState(state) {
     }
 
     transformer.moveToTop();
+    restoreArtboard(state.artboard || null);
     updateDropZoneVisibility();
     imageLayer.batchDraw();
 }
@@ -255,6 +301,7 @@ function pushUndo() {
     redoStack.length = 0;
 
     hasUnsavedChanges = true;
+    scheduleAutosave();
 }
 
 function undo() {
@@ -272,6 +319,7 @@ function undo() {
     if (undoStack.length === 0) {
         hasUnsavedChanges = false;
     }
+    scheduleAutosave();
 }
 
 function redo() {
@@ -284,6 +332,8 @@ function redo() {
     // Pop and restore redo state
     const nextState = redoStack.pop();
     restoreState(nextState);
+    hasUnsavedChanges = true;
+    scheduleAutosave();
 }
 
 // ============================================
@@ -329,8 +379,9 @@ function setupImageHandlers(konvaImage) {
 // Image Loading
 // ============================================
 
-function addImage(src, fileName) {
+function addImage(src, fileName, metadata = null, source = null) {
     const img = new Image();
+    if (source) imageSources.set(img, source);
     img.onload = () => {
         // Push undo before adding new image
         pushUndo();
@@ -361,6 +412,7 @@ function addImage(src, fileName) {
         konvaImage.setAttr('originalHeight', img.height);
         konvaImage.setAttr('cropBounds', { top: 0, right: 0, bottom: 0, left: 0 });
         konvaImage.setAttr('blendMode', 'source-over');
+        konvaImage.setAttr('metadata', metadata);
 
         setupImageHandlers(konvaImage);
 
@@ -390,21 +442,37 @@ function isMontageFile(file) {
     return file.name.toLowerCase().endsWith('.montage');
 }
 
-async function convertHeicToDataUrl(file) {
-    const convertedBlob = await HeicTo({
+// Browsers can't decode HEIC, so it is converted to PNG, which also becomes
+// the stored source
+async function convertHeicToPng(file) {
+    return await HeicTo({
         blob: file,
         type: 'image/png',
         quality: 1
     });
+}
 
+function readBlobAsDataUrl(blob) {
     return new Promise((resolve, reject) => {
         const reader = new FileReader();
         reader.onload = () => resolve(reader.result);
         reader.onerror = reject;
-        reader.readAsDataURL(convertedBlob);
+        reader.readAsDataURL(blob);
     });
 }
 
+// Identify an image from its first bytes, for files without a MIME type
+function sniffImageType(bytes) {
+    const ascii = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) return 'image/jpeg';
+    if (bytes[0] === 0x89 && ascii(1, 3) === 'PNG') return 'image/png';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') return 'image/webp';
+    if (ascii(0, 3) === 'GIF') return 'image/gif';
+    if (ascii(4, 4) === 'ftyp' && /^avi[fs]$/.test(ascii(8, 4))) return 'image/avif';
+    if (ascii(0, 2) === 'BM') return 'image/bmp';
+    return null;
+}
+
 function showHeicLoading(fileName) {
     let el = document.querySelector('.heic-loading');
     if (!el) {
@@ -421,20 +489,31 @@ function hideHeicLoading() {
     if (el) el.style.display = 'none';
 }
 
-async function handleFiles(files) {
-    for (const file of Array.from(files)) {
+// A .montage file dropped or added onto an empty, saved canvas is opened as
+// the document; otherwise it is placed into the current one. handles, when
+// given, are the FileSystemFileHandles of files (same order); linkPaths are
+// paths relative to the source folder for images added as linked.
+async function handleFiles(files, handles = [], linkPaths = []) {
+    for (const [i, file] of Array.from(files).entries()) {
         try {
             if (isMontageFile(file)) {
-                await loadProject(file);
+                const open = getAllImages().length === 0 && !hasUnsavedChanges;
+                await loadProject(file, { open, handle: open ? handles[i] || null : null });
             } else if (isHeicFile(file)) {
                 showHeicLoading(file.name);
-                const dataUrl = await convertHeicToDataUrl(file);
+                const metadata = readImageMetadata(await file.arrayBuffer());
+                const pngBlob = await convertHeicToPng(file);
+                const dataUrl = await readBlobAsDataUrl(pngBlob);
                 hideHeicLoading();
-                addImage(dataUrl, file.name.replace(/\.heic$/i, '.png').replace(/\.heif$/i, '.png'));
+                addImage(dataUrl, file.name.replace(/\.heic$/i, '.png').replace(/\.heif$/i, '.png'), metadata,
+                    { blob: pngBlob, format: 'image/png' });
             } else if (file.type.startsWith('image/') || file.type === '') {
-                const reader = new FileReader();
-                reader.onload = (e) => addImage(e.target.result, file.name);
-                reader.readAsDataURL(file);
+                const buffer = await file.arrayBuffer();
+                const metadata = readImageMetadata(buffer);
+                const format = imageFormatExtensions[file.type] ? file.type : sniffImageType(new Uint8Array(buffer));
+                const source = format ? { blob: file, format } : null;
+                if (source && linkPaths[i]) source.link = { path: linkPaths[i] };
+                addImage(await readBlobAsDataUrl(file), file.name, metadata, source);
             }
         } catch (err) {
             hideHeicLoading();
@@ -449,9 +528,10 @@ async function handleFiles(files) {
 // ============================================
 
 function updateDropZoneVisibility() {
-    const hasImages = imageLayer.children.length > 1;
+    const hasImages = imageLayer.children.some(child => child instanceof Konva.Image);
     dropZone.classList.toggle('empty', !hasImages);
     dropZone.querySelector('.drop-hint').style.display = hasImages ? 'none' : 'block';
+    if (!hasImages) renderRecentProjects();
 }
 
 // ============================================
@@ -526,6 +606,7 @@ function duplicateImage() {
     clone.setAttr('originalHeight', node.getAttr('originalHeight'));
     clone.setAttr('cropBounds', { ...node.getAttr('cropBounds') });
     clone.setAttr('blendMode', node.getAttr('blendMode'));
+    clone.setAttr('metadata', node.getAttr('metadata'));
     clone.globalCompositeOperation(node.getAttr('blendMode') || 'source-over');
 
     setupImageHandlers(clone);
@@ -1036,6 +1117,238 @@ function removeOpacityLabel() {
     }
 }
 
+// ============================================
+// Artboard (fixed output frame)
+// ============================================
+
+function getArtboardAspect(id) {
+    return artboardAspects.find(a => a.id === id) || artboardAspects[artboardAspects.length - 1];
+}
+
+function getArtboardState() {
+    if (!artboard) return null;
+    return {
+        x: artboard.x(),
+        y: artboard.y(),
+        width: artboard.width(),
+        height: artboard.height(),
+        aspect: artboard.getAttr('aspect')
+    };
+}
+
+// Artboard rect in document coordinates, as export regions are
+function getArtboardRect() {
+    return artboard ? { x: artboard.x(), y: artboard.y(), width: artboard.width(), height: artboard.height() } : null;
+}
+
+// Shape that dims everything outside the given rect node
+function createOutsideMask(rectNode) {
+    return new Konva.Shape({
+        fill: 'rgba(0, 0, 0, 0.45)',
+        listening: false,
+        sceneFunc: (context, shape) => {
+            const FAR = 1e6;
+            const x = rectNode.x(), y = rectNode.y();
+            const w = rectNode.width(), h = rectNode.height();
+            context.beginPath();
+            context.rect(-FAR, -FAR, FAR * 2, y + FAR);
+            context.rect(-FAR, y + h, FAR * 2, FAR - y - h);
+            context.rect(-FAR, y, x + FAR, h);
+            context.rect(x + w, y, FAR - x - w, h);
+            context.fillShape(shape);
+        }
+    });
+}
+
+function createArtboard(artboardState) {
+    artboard = new Konva.Rect({
+        x: artboardState.x,
+        y: artboardState.y,
+        width: artboardState.width,
+        height: artboardState.height,
+        stroke: HANDLE_COLOR,
+        strokeWidth: 2,
+        strokeScaleEnabled: false,
+        hitStrokeWidth: 12,
+        fillEnabled: false,
+        draggable: true,
+        name: 'artboard'
+    });
+    artboard.setAttr('aspect', artboardState.aspect || 'custom');
+
+    // Dim everything outside the artboard
+    artboardMask = createOutsideMask(artboard);
+
+    artboard.on('click tap', (e) => {
+        e.cancelBubble = true;
+        selectArtboard();
+    });
+    artboard.on('mouseenter', () => { stage.container().style.cursor = 'move'; });
+    artboard.on('mouseleave', () => { stage.container().style.cursor = 'default'; });
+    artboard.on('dragstart', () => {
+        pushUndo();
+    });
+
+    // Bake the transformer's scale into width/height so the stroke and
+    // saved geometry stay in plain layer units.
+    artboard.on('transformend', () => {
+        artboard.width(Math.max(1, artboard.width() * artboard.scaleX()));
+        artboard.height(Math.max(1, artboard.height() * artboard.scaleY()));
+        artboard.scale({ x: 1, y: 1 });
+        artboardLayer.batchDraw();
+    });
+
+    artboardLayer.add(artboardMask);
+    artboardLayer.add(artboard);
+    artboardTransformer.moveToTop();
+    updateArtboardControls();
+}
+
+function destroyArtboard() {
+    if (!artboard) return;
+    artboardTransformer.nodes([]);
+    artboard.destroy();
+    artboardMask.destroy();
+    artboard = null;
+    artboardMask = null;
+}
+
+function restoreArtboard(artboardState) {
+    destroyArtboard();
+    if (artboardState) createArtboard(artboardState);
+    artboardLayer.batchDraw();
+}
+
+function selectArtboard() {
+    if (!artboard) return;
+    transformer.nodes([]);
+    removeCropHandles();
+    removeOpacityLabel();
+    imageLayer.batchDraw();
+    artboardTransformer.nodes([artboard]);
+    updateArtboardControls();
+    artboardLayer.batchDraw();
+}
+
+function deselectArtboard() {
+    if (artboardTransformer.nodes().length === 0) return;
+    artboardTransformer.nodes([]);
+    artboardLayer.batchDraw();
+}
+
+// Lock the transformer to the preset ratio; custom frames resize freely
+function updateArtboardControls() {
+    if (!artboard) return;
+    const locked = getArtboardAspect(artboard.getAttr('aspect')).ratio !== null;
+    artboardTransformer.keepRatio(locked);
+    artboardTransformer.enabledAnchors(locked
+        ? ['top-left', 'top-right', 'bottom-left', 'bottom-right']
+        : ['top-left', 'top-center', 'top-right', 'middle-right', 'bottom-right', 'bottom-center', 'bottom-left', 'middle-left']);
+    artboard.dash([8 / stage.scaleX(), 6 / stage.scaleX()]);
+}
+
+// Initial frame: the largest rect of the given ratio inside the composition,
+// or inside the central part of the viewport when there are no images.
+function getInitialArtboardRect(ratio) {
+    const images = imageLayer.children.filter(child => child instanceof Konva.Image);
+    let base;
+    if (images.length > 0) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        images.forEach(img => {
+            const rect = img.getClientRect({ relativeTo: stage });
+            minX = Math.min(minX, rect.x);
+            minY = Math.min(minY, rect.y);
+            maxX = Math.max(maxX, rect.x + rect.width);
+            maxY = Math.max(maxY, rect.y + rect.height);
+        });
+        base = { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    } else {
+        const center = getViewportCenter();
+        const size = Math.min(stage.width(), stage.height()) * 0.6 / stage.scaleX();
+        base = { x: center.x - size / 2, y: center.y - size / 2, width: size, height: size };
+    }
+
+    if (ratio === null) return base;
+
+    let width = base.width, height = base.height;
+    if (width / height > ratio) width = height * ratio;
+    else height = width / ratio;
+
+    return {
+        x: base.x + (base.width - width) / 2,
+        y: base.y + (base.height - height) / 2,
+        width,
+        height
+    };
+}
+
+function setArtboardAspect(aspectId) {
+    const aspect = getArtboardAspect(aspectId);
+    pushUndo();
+
+    if (!artboard) {
+        createArtboard({ ...getInitialArtboardRect(aspect.ratio), aspect: aspect.id });
+    } else {
+        // Keep the width and center, adjust the height to the new ratio
+        if (aspect.ratio !== null) {
+            const centerY = artboard.y() + artboard.height() / 2;
+            const height = artboard.width() / aspect.ratio;
+            artboard.height(height);
+            artboard.y(centerY - height / 2);
+        }
+        artboard.setAttr('aspect', aspect.id);
+        updateArtboardControls();
+    }
+
+    selectArtboard();
+}
+
+function removeArtboard() {
+    if (!artboard) return;
+    pushUndo();
+    destroyArtboard();
+    artboardLayer.batchDraw();
+}
+
+function showArtboardMenu(x, y) {
+    hideContextMenu();
+
+    contextMenu = document.createElement('div');
+    contextMenu.className = 'context-menu';
+
+    const currentAspect = artboard ? artboard.getAttr('aspect') : null;
+    const aspectItems = artboardAspects.map(a =>
+        `<div class="context-menu-item check-option${a.id === currentAspect ? ' active' : ''}" data-action="aspect" data-aspect="${a.id}">${a.label}</div>`
+    ).join('');
+
+    contextMenu.innerHTML = `
+        <div class="context-menu-label">Artboard</div>
+        ${aspectItems}
+        <div class="context-menu-separator"></div>
+        <div class="context-menu-item" data-action="remove">Remove Artboard</div>
+    `;
+    contextMenu.style.left = x + 'px';
+    contextMenu.style.top = y + 'px';
+
+    contextMenu.addEventListener('click', (e) => {
+        const item = e.target.closest('.context-menu-item');
+        if (!item) return;
+
+        switch (item.dataset.action) {
+            case 'aspect': setArtboardAspect(item.dataset.aspect); break;
+            case 'remove': removeArtboard(); break;
+        }
+
+        hideContextMenu();
+    });
+
+    document.body.appendChild(contextMenu);
+
+    setTimeout(() => {
+        document.addEventListener('click', hideContextMenu, { once: true });
+    }, 0);
+}
+
 // ============================================
 // Context Menu
 // ============================================
@@ -1048,6 +1361,7 @@ function showContextMenu(x, y, node) {
 
     const currentBlend = node.getAttr('blendMode') || 'source-over';
     const currentOpacity = Math.round(node.opacity() * 100);
+    const linkSource = getImageLinkSource(node);
     const blendMenuItems = blendModes.map(m =>
         `<div class="context-menu-item blend-option${m.value === currentBlend ? ' active' : ''}" data-action="blend" data-blend="${m.value}">${m.label}</div>`
     ).join('');
@@ -1059,6 +1373,12 @@ function showContextMenu(x, y, node) {
         <div class="context-menu-item" data-action="fliph">Flip Horizontal <span class="shortcut">H</span></div>
         <div class="context-menu-item" data-action="flipv">Flip Vertical <span class="shortcut">V</span></div>
         <div class="context-menu-item" data-action="resetcrop">Reset Crop</div>
+        ${linkSource && linkSource.link
+            ? `<div class="context-menu-item" data-action="embed">Embed Image <span class="shortcut">${escapeXml(linkSource.link.path)}</span></div>`
+            : '<div class="context-menu-item" data-action="link">Link to File on Disk…</div>'}
+        <div class="context-menu-separator"></div>
+        <div class="context-menu-item" data-action="exportselection">Export Selection</div>
+        <div class="context-menu-item" data-action="exportregion">Export Region</div>
         <div class="context-menu-separator"></div>
         <div class="context-menu-label">Opacity: ${currentOpacity}% <span class="shortcut">0-9</span></div>
         <div class="context-menu-separator"></div>
@@ -1084,6 +1404,10 @@ function showContextMenu(x, y, node) {
             case 'fliph': flipHorizontal(); break;
             case 'flipv': flipVertical(); break;
             case 'resetcrop': resetCrop(); break;
+            case 'link': linkImage(node); break;
+            case 'embed': embedImage(node); break;
+            case 'exportselection': exportSelection(); break;
+            case 'exportregion': startRegionSelect(); break;
             case 'blend':
                 setBlendMode(item.dataset.blend);
                 break;
@@ -1114,178 +1438,411 @@ function hideContextMenu() {
 // Export
 // ============================================
 
-async function exportCanvas() {
-    const images = imageLayer.children.filter(child => child instanceof Konva.Image);
-    if (images.length === 0) {
-        alert('No images to export');
-        return;
-    }
+const exportFormats = [
+    { type: 'image/jpeg', label: 'JPEG', ext: '.jpg', extensions: ['.jpg', '.jpeg'], alpha: false, lossless: false, metadata: true },
+    { type: 'image/png', label: 'PNG', ext: '.png', extensions: ['.png'], alpha: true, lossless: true, metadata: true },
+    { type: 'image/webp', label: 'WebP', ext: '.webp', extensions: ['.webp'], alpha: true, lossless: false, metadata: true },
+    { type: 'image/avif', label: 'AVIF', ext: '.avif', extensions: ['.avif'], alpha: true, lossless: false, metadata: false },
+    { type: 'image/openraster', label: 'OpenRaster (layers)', ext: '.ora', extensions: ['.ora'], alpha: true, lossless: true, layered: true, metadata: false },
+    { type: 'image/vnd.adobe.photoshop', label: 'PSD (layers)', ext: '.psd', extensions: ['.psd'], alpha: true, lossless: true, layered: true, metadata: true }
+];
 
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+// Default export options, used as-is by the scripting API
+const exportDefaults = Object.freeze({
+    format: 'image/jpeg',
+    quality: 0.9,
+    transparent: true, // only formats with alpha; the others are always flattened
+    background: null, // null = follow the canvas background (light/dark)
+    trim: 'geometric', // 'none' | 'geometric' | 'alpha'
+    metadataSource: 'auto', // 'auto' | 'none' | an imageId
+    includeGps: true,
+    sizeMode: 'auto', // 'auto' | 'long-edge' | 'exact' | 'print'
+    longEdge: 3000,
+    width: 1080,
+    height: 1350,
+    paper: 'a4',
+    dpi: 300,
+    scale: 1 // multiplies the native scale in 'auto' size mode
+});
 
-    images.forEach(img => {
-        const rect = img.getClientRect();
-        minX = Math.min(minX, rect.x);
-        minY = Math.min(minY, rect.y);
-        maxX = Math.max(maxX, rect.x + rect.width);
-        maxY = Math.max(maxY, rect.y + rect.height);
-    });
+// Last-used export options, remembered for the session
+const exportSettings = { ...exportDefaults };
 
-    // Scale export so the lowest-resolution image renders at its native pixels
-    // (no image is over-scaled). For each image, native-to-screen ratio is
-    // 1 / (abs(scale) * stageZoom); the minimum across all images is the max
-    // exportScale that avoids upsampling any component.
-    const stageZoom = stage.scaleX();
-    let exportScale = Infinity;
-    images.forEach(img => {
-        const sx = 1 / (Math.abs(img.scaleX()) * stageZoom);
-        const sy = 1 / (Math.abs(img.scaleY()) * stageZoom);
-        exportScale = Math.min(exportScale, sx, sy);
-    });
-    exportScale = Math.max(exportScale, 1); // never downscale below screen res
+const exportFormatSupport = {};
 
-    const exportWidth = Math.round((maxX - minX) * exportScale);
-    const exportHeight = Math.round((maxY - minY) * exportScale);
+function getExportFormat(type) {
+    return exportFormats.find(f => f.type === type) || exportFormats[0];
+}
 
-    // Slight oversize per image (in export pixels) to avoid sub-pixel gaps
-    // at scaled image edges, without cropping the overall bounding box.
-    const BLEED = 2;
+// Browsers fall back to PNG for types they can't encode, so check what
+// toDataURL actually produced.
+function isExportFormatSupported(type) {
+    if (getExportFormat(type).layered) return true; // written by our own encoders
+    if (!(type in exportFormatSupport)) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 1;
+        canvas.height = 1;
+        exportFormatSupport[type] = canvas.toDataURL(type).startsWith(`data:${type}`);
+    }
+    return exportFormatSupport[type];
+}
 
-    // Composite all images onto a transparent canvas first so blend modes
-    // only interact with other images, not the white background.
-    const compCanvas = document.createElement('canvas');
-    compCanvas.width = exportWidth;
-    compCanvas.height = exportHeight;
-    const compCtx = compCanvas.getContext('2d');
+function getBackgroundColor() {
+    return backgroundColors[document.body.classList.contains('light-bg') ? 'light' : 'dark'];
+}
 
-    const sortedImages = [...images].sort((a, b) => a.zIndex() - b.zIndex());
+function showExportDialog(images, scope = {}) {
+    hideExportDialog();
+
+    return new Promise(resolve => {
+        const formatOptions = exportFormats
+            .filter(f => isExportFormatSupported(f.type))
+            .map(f => `<option value="${f.type}"${f.type === exportSettings.format ? ' selected' : ''}>${f.label}</option>`)
+            .join('');
+        const sizeModes = [
+            { value: 'auto', label: 'Native resolution' },
+            { value: 'long-edge', label: 'Long edge' },
+            { value: 'exact', label: 'Exact size' },
+            { value: 'print', label: 'Print' }
+        ];
+        const sizeModeOptions = sizeModes
+            .map(m => `<option value="${m.value}"${m.value === exportSettings.sizeMode ? ' selected' : ''}>${m.label}</option>`)
+            .join('');
+        const trimModes = [
+            { value: 'none', label: 'None' },
+            { value: 'geometric', label: 'Trim ragged edges' },
+            { value: 'alpha', label: 'Largest fully covered area' }
+        ];
+        const trimOptions = trimModes
+            .map(m => `<option value="${m.value}"${m.value === exportSettings.trim ? ' selected' : ''}>${m.label}</option>`)
+            .join('');
+        const metadataOptions = images
+            .filter(img => img.getAttr('metadata'))
+            .map(img => {
+                const id = img.getAttr('imageId');
+                const date = img.getAttr('metadata').dateTimeOriginal;
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = date ? `${img.name()} (${date.slice(0, 10).replace(/:/g, '-')})` : img.name();
+                option.selected = id === exportSettings.metadataSource;
+                return option.outerHTML;
+            })
+            .join('');
+        const paperOptions = paperSizes
+            .map(p => `<option value="${p.id}"${p.id === exportSettings.paper ? ' selected' : ''}>${p.label}</option>`)
+            .join('');
+
+        exportDialog = document.createElement('div');
+        exportDialog.className = 'export-dialog';
+        exportDialog.innerHTML = `
+            <h3>${scope.title || 'Export Image'}</h3>
+            <label class="export-field">
+                <span>Format</span>
+                <select name="format">${formatOptions}</select>
+            </label>
+            <label class="export-field">
+                <span>Quality</span>
+                <input type="range" name="quality" min="10" max="100" step="1" value="${Math.round(exportSettings.quality * 100)}">
+                <span class="export-quality-value"></span>
+            </label>
+            <label class="export-field export-checkbox">
+                <input type="checkbox" name="transparent"${exportSettings.transparent ? ' checked' : ''}>
+                <span>Keep transparent areas</span>
+            </label>
+            <label class="export-field">
+                <span>Background</span>
+                <input type="color" name="background" value="${exportSettings.background || getBackgroundColor()}">
+            </label>
+            <label class="export-field"${scope.region || artboard ? ' hidden' : ''}>
+                <span>Crop</span>
+                <select name="trim">${trimOptions}</select>
+            </label>
+            <label class="export-field">
+                <span>Size</span>
+                <select name="sizeMode">${sizeModeOptions}</select>
+            </label>
+            <label class="export-field" data-size-mode="long-edge">
+                <span>Long edge</span>
+                <input type="number" name="longEdge" min="1" step="1" value="${exportSettings.longEdge}"> px
+            </label>
+            <div class="export-field" data-size-mode="exact">
+                <span>Dimensions</span>
+                <input type="number" name="width" min="1" step="1" value="${exportSettings.width}"> ×
+                <input type="number" name="height" min="1" step="1" value="${exportSettings.height}"> px
+            </div>
+            <div class="export-field" data-size-mode="print">
+                <span>Paper</span>
+                <select name="paper">${paperOptions}</select> at
+                <input type="number" name="dpi" min="1" step="1" value="${exportSettings.dpi}"> DPI
+            </div>
+            <label class="export-field" data-metadata>
+                <span>Metadata</span>
+                <select name="metadataSource">
+                    <option value="auto"${exportSettings.metadataSource === 'auto' ? ' selected' : ''}>Automatic</option>
+                    <option value="none"${exportSettings.metadataSource === 'none' ? ' selected' : ''}>No capture info</option>
+                    ${metadataOptions}
+                </select>
+            </label>
+            <label class="export-field export-checkbox" data-metadata>
+                <input type="checkbox" name="includeGps"${exportSettings.includeGps ? ' checked' : ''}>
+                <span>Include GPS location</span>
+            </label>
+            <div class="export-summary"></div>
+            <div class="export-sources"></div>
+            <div class="export-dialog-buttons">
+                <button data-action="cancel">Cancel</button>
+                <button data-action="export" class="btn-primary">Export</button>
+            </div>
+        `;
+
+        const formatSelect = exportDialog.querySelector('[name="format"]');
+        const qualityInput = exportDialog.querySelector('[name="quality"]');
+        const qualityValue = exportDialog.querySelector('.export-quality-value');
+        const transparentInput = exportDialog.querySelector('[name="transparent"]');
+        const backgroundInput = exportDialog.querySelector('[name="background"]');
+        const sizeModeSelect = exportDialog.querySelector('[name="sizeMode"]');
+        const summary = exportDialog.querySelector('.export-summary');
+        const sourceList = exportDialog.querySelector('.export-sources');
+
+        function readPositiveInt(name, fallback) {
+            const value = parseInt(exportDialog.querySelector(`[name="${name}"]`).value);
+            return value > 0 ? value : fallback;
+        }
 
-    sortedImages.forEach(img => {
-        const originalImg = img.getAttr('originalImage') || img.image();
-        const crop = img.crop();
-        const scaleX = img.scaleX();
-        const scaleY = img.scaleY();
-        const absScaleX = Math.abs(scaleX);
-        const absScaleY = Math.abs(scaleY);
-        const rotation = img.rotation();
-        const blendMode = img.getAttr('blendMode') || 'source-over';
-
-        const cropX = crop.x || 0;
-        const cropY = crop.y || 0;
-        const cropW = crop.width || originalImg.width;
-        const cropH = crop.height || originalImg.height;
-
-        const imgRect = img.getClientRect();
-        const centerX = imgRect.x + imgRect.width / 2;
-        const centerY = imgRect.y + imgRect.height / 2;
-        const exportX = (centerX - minX) * exportScale;
-        const exportY = (centerY - minY) * exportScale;
-
-        const drawWidth = cropW * absScaleX * stageZoom * exportScale + BLEED;
-        const drawHeight = cropH * absScaleY * stageZoom * exportScale + BLEED;
-
-        compCtx.save();
-        compCtx.globalCompositeOperation = blendMode;
-        compCtx.globalAlpha = img.opacity();
-        compCtx.translate(exportX, exportY);
-        compCtx.rotate(rotation * Math.PI / 180);
-        compCtx.scale(scaleX < 0 ? -1 : 1, scaleY < 0 ? -1 : 1);
-
-        compCtx.drawImage(
-            originalImg,
-            cropX, cropY, cropW, cropH,
-            -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight
-        );
+        function readSizeSettings() {
+            return {
+                trim: exportDialog.querySelector('[name="trim"]').value,
+                sizeMode: sizeModeSelect.value,
+                longEdge: readPositiveInt('longEdge', exportSettings.longEdge),
+                width: readPositiveInt('width', exportSettings.width),
+                height: readPositiveInt('height', exportSettings.height),
+                paper: exportDialog.querySelector('[name="paper"]').value,
+                dpi: readPositiveInt('dpi', exportSettings.dpi)
+            };
+        }
 
-        compCtx.restore();
-    });
+        // Show the resulting pixel size and how much each source is upsampled,
+        // worst first, so the weak layer is obvious before exporting.
+        function updateSizePreview() {
+            const layout = getExportLayout(images, readSizeSettings(), scope);
+            const { trim } = layout;
+            summary.textContent = `Output: ${layout.outputWidth} × ${layout.outputHeight} px` +
+                (trim || scope.region ? '' : ' (artboard)');
+            if (trim && trim.mode !== 'none') {
+                summary.textContent += ` — trimmed top ${trim.top}, bottom ${trim.exportHeight - trim.bottom}, ` +
+                    `left ${trim.left}, right ${trim.exportWidth - trim.right} px`;
+            }
+            showExportPreview(layout.region);
+
+            const factors = getUpsamplingFactors(getLayerStates(images), layout).sort((a, b) => b.factor - a.factor);
+            sourceList.replaceChildren(...factors.map(({ name, factor }) => {
+                const row = document.createElement('div');
+                row.className = 'export-source' + (factor > 1.01 ? ' upsampled' : '');
+                const nameEl = document.createElement('span');
+                nameEl.textContent = name;
+                const factorEl = document.createElement('span');
+                factorEl.textContent = factor > 1.01 ? `${factor.toFixed(2)}× upsampled` : `${factor.toFixed(2)}×`;
+                row.append(nameEl, factorEl);
+                return row;
+            }));
+        }
 
-    // Smart crop: trim thin strips where images are nearly but not perfectly
-    // aligned.  Uses image geometry (not pixels) so the per-image BLEED used
-    // to hide sub-pixel gaps doesn't mask the misalignment.
-    const MAX_TRIM = Math.max(20, Math.round(Math.max(exportWidth, exportHeight) * 0.01));
-    let cropLeft = 0, cropTop = 0, cropRight = exportWidth, cropBottom = exportHeight;
-
-    // Image rects in export-pixel space (no bleed)
-    const exportRects = images.map(img => {
-        const r = img.getClientRect();
-        return {
-            x: (r.x - minX) * exportScale,
-            y: (r.y - minY) * exportScale,
-            w: r.width * exportScale,
-            h: r.height * exportScale
-        };
-    });
+        // Grey out controls that don't apply to the chosen format
+        function updateFields() {
+            const format = getExportFormat(formatSelect.value);
+            qualityInput.disabled = format.lossless;
+            qualityValue.textContent = format.lossless ? 'Lossless' : qualityInput.value + '%';
+            transparentInput.disabled = !format.alpha;
+            backgroundInput.disabled = format.alpha && transparentInput.checked;
+            exportDialog.querySelectorAll('[data-metadata] select, [data-metadata] input').forEach(el => {
+                el.disabled = !format.metadata;
+            });
 
-    // Check if a scan-line is fully covered by image rects.
-    // horizontal=true: row at y, covering x range [lo, hi]
-    // horizontal=false: column at x, covering y range [lo, hi]
-    function scanLineCovered(pos, lo, hi, horizontal) {
-        const intervals = [];
-        for (const r of exportRects) {
-            if (horizontal) {
-                if (pos >= r.y && pos < r.y + r.h) intervals.push([r.x, r.x + r.w]);
-            } else {
-                if (pos >= r.x && pos < r.x + r.w) intervals.push([r.y, r.y + r.h]);
-            }
+            exportDialog.querySelectorAll('[data-size-mode]').forEach(el => {
+                el.hidden = el.dataset.sizeMode !== sizeModeSelect.value;
+            });
+            updateSizePreview();
         }
-        intervals.sort((a, b) => a[0] - b[0]);
-        let covered = lo;
-        for (const [s, e] of intervals) {
-            if (s > covered + 0.5) return false;
-            covered = Math.max(covered, e);
-            if (covered >= hi - 0.5) return true;
+
+        function close(result) {
+            hideExportDialog();
+            resolve(result);
         }
-        return covered >= hi - 0.5;
-    }
 
-    // Top
-    for (let row = 0; row < MAX_TRIM && row < exportHeight; row++) {
-        if (scanLineCovered(row, 0, exportWidth, true)) { cropTop = row; break; }
-    }
-    // Bottom
-    for (let row = exportHeight - 1; row >= exportHeight - MAX_TRIM && row >= 0; row--) {
-        if (scanLineCovered(row, 0, exportWidth, true)) { cropBottom = row + 1; break; }
+        function submit() {
+            exportSettings.format = formatSelect.value;
+            exportSettings.quality = parseInt(qualityInput.value) / 100;
+            exportSettings.transparent = transparentInput.checked;
+            // Only pin a custom color if the user changed it away from the canvas background
+            exportSettings.background = backgroundInput.value === getBackgroundColor() ? null : backgroundInput.value;
+            Object.assign(exportSettings, readSizeSettings());
+            exportSettings.metadataSource = exportDialog.querySelector('[name="metadataSource"]').value;
+            exportSettings.includeGps = exportDialog.querySelector('[name="includeGps"]').checked;
+            close({ ...exportSettings, background: backgroundInput.value });
+        }
+
+        formatSelect.addEventListener('change', updateFields);
+        qualityInput.addEventListener('input', updateFields);
+        transparentInput.addEventListener('change', updateFields);
+        exportDialog.querySelectorAll('[name="trim"], [name="sizeMode"], [name="paper"], input[type="number"]').forEach(el => {
+            el.addEventListener('input', updateFields);
+        });
+
+        exportDialog.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            if (button.dataset.action === 'export') submit();
+            else close(null);
+        });
+
+        exportDialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                close(null);
+            } else if (e.key === 'Enter' && e.target.tagName !== 'BUTTON') {
+                e.preventDefault();
+                submit();
+            }
+        });
+
+        updateFields();
+        document.body.appendChild(exportDialog);
+        exportDialog.querySelector('[data-action="export"]').focus();
+    });
+}
+
+function hideExportDialog() {
+    if (exportDialog) {
+        exportDialog.remove();
+        exportDialog = null;
     }
-    // Left (within already-cropped vertical range)
-    for (let col = 0; col < MAX_TRIM && col < exportWidth; col++) {
-        if (scanLineCovered(col, cropTop, cropBottom, false)) { cropLeft = col; break; }
+    hideExportPreview();
+}
+
+// Outline the exact region that will be written, dimming the rest, while the
+// export dialog is open. The region is in document coordinates.
+function showExportPreview(region) {
+    const scale = stage.scaleX();
+    const attrs = { x: region.x, y: region.y, width: region.width, height: region.height };
+
+    if (!exportPreview) {
+        const rect = new Konva.Rect({
+            stroke: '#f4b142',
+            strokeWidth: 2,
+            strokeScaleEnabled: false,
+            dash: [6 / scale, 4 / scale],
+            listening: false
+        });
+        exportPreview = { rect, mask: createOutsideMask(rect) };
+        artboardLayer.add(exportPreview.mask);
+        artboardLayer.add(exportPreview.rect);
     }
-    // Right
-    for (let col = exportWidth - 1; col >= exportWidth - MAX_TRIM && col >= 0; col--) {
-        if (scanLineCovered(col, cropTop, cropBottom, false)) { cropRight = col + 1; break; }
+
+    exportPreview.rect.setAttrs(attrs);
+    artboardLayer.batchDraw();
+}
+
+function hideExportPreview() {
+    if (!exportPreview) return;
+    exportPreview.rect.destroy();
+    exportPreview.mask.destroy();
+    exportPreview = null;
+    artboardLayer.batchDraw();
+}
+
+// Export layout (computeExportLayout() in compositor.js) for images on the
+// canvas. scope.region is in document coordinates; without it the artboard,
+// if there is one, is the region. scope.minScale is relative to the view, so
+// by default the output is never smaller than the composition on screen;
+// with scope.ignoreView it is absolute, so the zoom doesn't change the size.
+function getExportLayout(images, settings, scope = {}) {
+    return computeExportLayout(getLayerStates(images), settings, {
+        region: scope.region || getArtboardRect(),
+        minScale: (scope.minScale ?? 1) * (scope.ignoreView ? 1 : stage.scaleX()),
+        createCanvas: createPageCanvas
+    });
+}
+
+function createPageCanvas(width, height) {
+    return Object.assign(document.createElement('canvas'), { width, height });
+}
+
+// Composite images on the page. Renders the whole output, or just one tile
+// of it ({ x, y, width, height } in output pixels); an existing canvas can be
+// passed in to be reused. mask and isolated are passed to drawComposite().
+function renderCompositeCanvas(images, layout, { tile, canvas, mask = false, isolated = false } = {}) {
+    tile = tile || { x: 0, y: 0, width: layout.outputWidth, height: layout.outputHeight };
+
+    const compCanvas = canvas || document.createElement('canvas');
+    if (compCanvas.width !== tile.width || compCanvas.height !== tile.height) {
+        compCanvas.width = tile.width;
+        compCanvas.height = tile.height;
     }
+    drawComposite(compCanvas.getContext('2d'), getLayerDescriptors(getLayerStates(images), layout), tile, { mask, isolated });
+
+    return compCanvas;
+}
+
+// Small JPEG of everything that would be exported, for autosave and previews
+async function renderThumbnail(maxEdge) {
+    const images = getAllImages();
+    if (images.length === 0) return null;
+
+    const layout = getExportLayout(images, { ...exportDefaults, sizeMode: 'long-edge', longEdge: maxEdge, trim: 'none' });
+    const canvas = renderCompositeCanvas(images, layout);
+    flattenCanvas(canvas, getBackgroundColor());
+    return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+}
 
-    console.log(`Export: ${exportWidth}×${exportHeight} → ${cropRight - cropLeft}×${cropBottom - cropTop} (smart crop: top=${cropTop} bottom=${exportHeight - cropBottom} left=${cropLeft} right=${exportWidth - cropRight}, threshold=${MAX_TRIM}px)`);
+// Export the composition. Without options, the export dialog is shown first.
+// An optional scope limits the export to some images and/or a fixed region:
+// { images, region, minScale, title, suggestedName }.
+async function exportCanvas(options, scope = {}) {
+    const images = scope.images || getAllImages();
+    if (images.length === 0) {
+        alert('No images to export');
+        return;
+    }
 
-    const croppedWidth = cropRight - cropLeft;
-    const croppedHeight = cropBottom - cropTop;
+    if (!options) {
+        options = await showExportDialog(images, scope);
+        if (!options) return;
+    }
 
-    // Flatten onto current background color for JPG export
-    const bgColor = document.body.classList.contains('light-bg') ? '#ffffff' : '#1a1a1a';
-    const exportCanvas = document.createElement('canvas');
-    exportCanvas.width = croppedWidth;
-    exportCanvas.height = croppedHeight;
-    const ctx = exportCanvas.getContext('2d');
-    ctx.fillStyle = bgColor;
-    ctx.fillRect(0, 0, croppedWidth, croppedHeight);
-    ctx.drawImage(compCanvas, cropLeft, cropTop, croppedWidth, croppedHeight, 0, 0, croppedWidth, croppedHeight);
+    // Check the size before asking where to save
+    let job;
+    try {
+        job = prepareExport(images, { ...exportSettings, ...options }, scope);
+    } catch (err) {
+        alert(err.message);
+        return;
+    }
 
+    // The picker needs the click's user activation, so it comes before the
+    // render. It creates the chosen file, which is removed again if the
+    // render fails or is cancelled (unless it was an existing file).
+    let fileHandle = null;
+    let createdFile = false;
     try {
-        const fileHandle = await window.showSaveFilePicker({
+        fileHandle = await window.showSaveFilePicker({
             id: 'export',
-            suggestedName: 'montage-export.jpg',
+            suggestedName: (scope.suggestedName || 'montage-export') + job.format.ext,
             types: [{
-                description: 'JPEG Image',
-                accept: { 'image/jpeg': ['.jpg', '.jpeg'] }
+                description: `${job.format.label} Image`,
+                accept: { [job.format.type]: job.format.extensions }
             }]
         });
+        createdFile = (await fileHandle.getFile()).size === 0;
+
+        const blob = await renderExport(job);
 
-        const blob = await new Promise(resolve => exportCanvas.toBlob(resolve, 'image/jpeg', 0.9));
         const writable = await fileHandle.createWritable();
         await writable.write(blob);
         await writable.close();
     } catch (err) {
+        if (fileHandle && createdFile && fileHandle.remove) {
+            await fileHandle.remove().catch(removeErr => console.warn('Could not remove unfinished export:', removeErr));
+        }
         if (err.name !== 'AbortError') {
             console.error('Error exporting:', err);
             alert('Failed to export: ' + err.message);
@@ -1293,74 +1850,826 @@ async function exportCanvas() {
     }
 }
 
-// ============================================
-// Progress Modal
-// ============================================
-
-function showProgressModal(title) {
-    hideProgressModal();
-    progressModal = document.createElement('div');
-    progressModal.className = 'progress-modal';
-    progressModal.innerHTML = `
-        <h3>${title}</h3>
-        <div class="progress-bar-container">
-            <div class="progress-bar"></div>
-        </div>
-        <div class="progress-text">Preparing...</div>
-    `;
-    document.body.appendChild(progressModal);
+function getAllImages() {
+    return imageLayer.children.filter(child => child instanceof Konva.Image);
 }
 
-function updateProgress(percent, text) {
-    if (!progressModal) return;
-    const bar = progressModal.querySelector('.progress-bar');
-    const textEl = progressModal.querySelector('.progress-text');
-    if (bar) bar.style.width = percent + '%';
-    if (textEl) textEl.textContent = text;
-}
+// Work out the layout, format and metadata for an export. Throws if the
+// output can't be produced at the requested size.
+function prepareExport(images, options, scope = {}) {
+    if (images.length === 0) throw new Error('No images to export');
 
-function hideProgressModal() {
-    if (progressModal) {
-        progressModal.remove();
-        progressModal = null;
-    }
-}
+    const layout = getExportLayout(images, options, scope);
+    const { trim } = layout;
 
-// ============================================
-// Project Save/Load
-// ============================================
+    if (!trim) {
+        console.log(`Export: fixed region ${layout.outputWidth}×${layout.outputHeight}`);
+    } else if (trim.mode === 'geometric') {
+        console.log(`Export: ${trim.exportWidth}×${trim.exportHeight} → ${trim.right - trim.left}×${trim.bottom - trim.top} (smart crop: top=${trim.top} bottom=${trim.exportHeight - trim.bottom} left=${trim.left} right=${trim.exportWidth - trim.right}, threshold=${trim.threshold}px)`);
+    } else {
+        console.log(`Export: ${trim.exportWidth}×${trim.exportHeight} → ${trim.right - trim.left}×${trim.bottom - trim.top} (${trim.mode} trim: top=${trim.top} bottom=${trim.exportHeight - trim.bottom} left=${trim.left} right=${trim.exportWidth - trim.right})`);
+    }
+    if (options.sizeMode !== 'auto') {
+        console.log(`Export size (${options.sizeMode}): ${layout.outputWidth}×${layout.outputHeight}`);
+    }
 
-async function serializeStateToZip(state) {
-    const zip = new JSZip();
-    const imgFolder = zip.folder('images');
+    // Formats with an alpha channel can keep uncovered regions transparent;
+    // everything else is flattened onto the chosen background color.
+    const format = getExportFormat(options.format);
+    const background = format.alpha && options.transparent ? null : (options.background || getBackgroundColor());
+    const quality = format.lossless ? undefined : options.quality;
+    const { outputWidth, outputHeight } = layout;
+
+    // Past the browser's canvas limits the composite is rendered in tiles,
+    // which only the streaming PNG encoder can take.
+    const tiled = !canvasFits(outputWidth, outputHeight);
+    if (tiled && format.type !== 'image/png') {
+        throw new Error(`${outputWidth}×${outputHeight} px is larger than this browser can render in one piece. ` +
+                        `Export as PNG, or choose a smaller size.`);
+    }
+    if (format.ext === '.psd' && Math.max(outputWidth, outputHeight) > PSD_MAX_DIMENSION) {
+        throw new Error(`PSD files are limited to ${PSD_MAX_DIMENSION} px per side. Choose a smaller size or export as OpenRaster.`);
+    }
 
-    const projectData = {
-        version: 2,
-        images: []
+    return {
+        images,
+        layout,
+        format,
+        background,
+        quality,
+        tiled,
+        dpi: options.sizeMode === 'print' ? options.dpi : null,
+        metadata: buildExportMetadata(getLayerStates(images), options, currentProjectName)
     };
+}
 
-    for (let i = 0; i < state.images.length; i++) {
-        const imgState = state.images[i];
-        const filename = `${i}.jpg`;
+// Render and encode a prepared export, showing progress with a Cancel
+// button. Cancelling rejects with an AbortError.
+async function renderExport(job) {
+    const { images, layout, format, background, quality, tiled, dpi, metadata } = job;
 
-        updateProgress(
-            Math.round((i / state.images.length) * 80),
-            `Processing image ${i + 1} of ${state.images.length}...`
-        );
+    activeExport = { cancelled: false, worker: null, reject: null };
+    showProgressModal(format.layered ? 'Exporting Layers...' : 'Exporting...', cancelExport);
 
-        const canvas = document.createElement('canvas');
-        canvas.width = imgState.imageRef.width;
-        canvas.height = imgState.imageRef.height;
-        const ctx = canvas.getContext('2d');
-        ctx.fillStyle = '#ffffff';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        ctx.drawImage(imgState.imageRef, 0, 0);
+    try {
+        let blob = format.layered
+            ? await renderLayeredExport(images, layout, format, background, metadata)
+            : await renderFlatExport(images, layout, format, quality, background, tiled);
+        if (!blob) {
+            throw new Error(`the browser could not encode a ${layout.outputWidth}×${layout.outputHeight} ${format.label} image`);
+        }
+        if (dpi) blob = await setPrintResolution(blob, format.type, dpi);
+        if (format.metadata && !format.layered) {
+            blob = await embedMetadata(blob, format, metadata, layout.outputWidth, layout.outputHeight);
+        }
+        updateProgress(100, 'Done!');
+        return blob;
+    } finally {
+        hideProgressModal();
+        activeExport = null;
+    }
+}
 
-        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.9));
-        imgFolder.file(filename, blob);
+// Record the print resolution in a JPEG (JFIF density) or PNG (pHYs), so a
+// print-sized export opens at its paper size rather than at 72 or 96 DPI.
+// Other formats are returned as they are.
+async function setPrintResolution(blob, type, dpi) {
+    if (type === 'image/jpeg') {
+        // Browsers write a JFIF segment with only an aspect ratio; set its
+        // units and density, or add one after SOI
+        const head = new Uint8Array(await blob.slice(0, 18).arrayBuffer());
+        const view = new DataView(head.buffer);
+        const hasJfif = view.getUint16(2) === 0xffe0 && String.fromCharCode(...head.subarray(6, 11)) === 'JFIF\0';
+        if (hasJfif) {
+            head[13] = 1; // dots per inch
+            view.setUint16(14, dpi);
+            view.setUint16(16, dpi);
+            return new Blob([head, blob.slice(18)], { type });
+        }
+        const app0 = new Uint8Array(18);
+        const app0View = new DataView(app0.buffer);
+        app0View.setUint16(0, 0xffe0);
+        app0View.setUint16(2, 16);
+        app0.set([0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 1], 4); // "JFIF", version 1.1, dots per inch
+        app0View.setUint16(12, dpi);
+        app0View.setUint16(14, dpi);
+        return new Blob([blob.slice(0, 2), app0, blob.slice(2)], { type });
+    }
+
+    if (type === 'image/png') {
+        // Pixels per metre, right after the IHDR chunk
+        const phys = new Uint8Array(9);
+        const ppm = Math.round(dpi / 0.0254);
+        new DataView(phys.buffer).setUint32(0, ppm);
+        new DataView(phys.buffer).setUint32(4, ppm);
+        phys[8] = 1;
+        return new Blob([blob.slice(0, 33), pngChunk('pHYs', phys), blob.slice(33)], { type });
+    }
+
+    return blob;
+}
+
+// Render and encode a single-image export in the export worker, with
+// progress per layer. Falls back to the page where OffscreenCanvas is missing.
+async function renderFlatExport(images, layout, format, quality, background, tiled) {
+    const { outputWidth: width, outputHeight: height } = layout;
+
+    if (typeof OffscreenCanvas === 'undefined' || !window.Worker) {
+        if (tiled) {
+            const tileCanvas = document.createElement('canvas');
+            return await encodeTiledPng({
+                width,
+                height,
+                isCancelled: () => activeExport.cancelled,
+                onProgress: (fraction, text) => updateProgress(Math.round(fraction * 95), text),
+                renderTile: (tile) => {
+                    renderCompositeCanvas(images, layout, { tile, canvas: tileCanvas });
+                    if (background) flattenCanvas(tileCanvas, background);
+                    return tileCanvas.getContext('2d').getImageData(0, 0, tile.width, tile.height).data;
+                }
+            });
+        }
+        const canvas = renderCompositeCanvas(images, layout);
+        if (background) flattenCanvas(canvas, background);
+        return await new Promise(resolve => canvas.toBlob(resolve, format.type, quality));
+    }
+
+    const layers = getLayerDescriptors(getLayerStates(images), layout);
+    return await runExportWorker(layers, { width, height, format: format.type, quality, background, tiled });
+}
+
+// Send layer descriptors to the export worker (see export-worker.js for the
+// message) and resolve with its result. Layer sources are sent as
+// ImageBitmaps, one per distinct source: duplicated layers share an image.
+async function runExportWorker(layers, message) {
+    updateProgress(0, 'Preparing images...');
+    const bitmaps = new Map();
+    try {
+        for (const layer of layers) {
+            if (!bitmaps.has(layer.source)) bitmaps.set(layer.source, await createImageBitmap(layer.source));
+            throwIfExportCancelled();
+        }
+    } catch (err) {
+        bitmaps.forEach(bitmap => bitmap.close());
+        throw err;
+    }
+
+    // Once sent, the bitmaps belong to the worker, which closes them
+    return await new Promise((resolve, reject) => {
+        const worker = new Worker('export-worker.js');
+        activeExport.worker = worker;
+        activeExport.reject = reject;
+
+        worker.onmessage = (e) => {
+            const reply = e.data;
+            if (reply.type === 'progress') {
+                updateProgress(Math.round(reply.fraction * 95), reply.text);
+                return;
+            }
+            worker.terminate();
+            activeExport.worker = null;
+            if (reply.type === 'done') resolve(reply.result);
+            else reject(new Error(reply.message));
+        };
+        worker.onerror = (e) => {
+            worker.terminate();
+            activeExport.worker = null;
+            reject(new Error(e.message || 'Export worker failed'));
+        };
+
+        worker.postMessage({
+            ...message,
+            layers: layers.map(layer => ({ ...layer, source: bitmaps.get(layer.source) }))
+        }, [...bitmaps.values()]);
+    });
+}
+
+// Cancel button in the export progress modal
+function cancelExport() {
+    if (!activeExport) return;
+    activeExport.cancelled = true;
+    if (activeExport.worker) {
+        activeExport.worker.terminate();
+        activeExport.worker = null;
+    }
+    if (activeExport.reject) activeExport.reject(abortError());
+}
+
+function throwIfExportCancelled() {
+    if (activeExport && activeExport.cancelled) throw abortError();
+}
+
+// ============================================
+// Tiled Export (for outputs beyond canvas limits)
+// ============================================
+
+// Browsers don't throw for oversized canvases, they hand back one that
+// silently draws nothing, so probe by drawing and reading back a pixel.
+const MAX_CANVAS_DIMENSION = 32767;
+const canvasFitCache = new Map();
+
+function canvasFits(width, height) {
+    if (width > MAX_CANVAS_DIMENSION || height > MAX_CANVAS_DIMENSION) return false;
+    const key = `${width}x${height}`;
+    if (!canvasFitCache.has(key)) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        let fits = false;
+        if (ctx) {
+            ctx.fillRect(width - 1, height - 1, 1, 1);
+            fits = ctx.getImageData(width - 1, height - 1, 1, 1).data[3] !== 0;
+        }
+        // Release the backing store straight away
+        canvas.width = 0;
+        canvas.height = 0;
+        canvasFitCache.set(key, fits);
+    }
+    return canvasFitCache.get(key);
+}
+
+// Export just one layer at its native resolution, with its crop, flips and
+// opacity applied.
+function exportSelection() {
+    const node = getSelectedImage();
+    if (!node) return;
+    exportCanvas(undefined, {
+        images: [node],
+        region: getLayerRect(captureImageState(node)),
+        minScale: 0,
+        title: 'Export Selection',
+        suggestedName: node.name().replace(/\.[^.]+$/, '')
+    });
+}
+
+// Export Region: draw a marquee on the canvas, then export that rectangle
+// of the composition.
+function startRegionSelect() {
+    transformer.nodes([]);
+    removeCropHandles();
+    removeOpacityLabel();
+    deselectArtboard();
+    imageLayer.batchDraw();
+
+    // Stop images, crop handles and the artboard from taking the drag
+    imageLayer.listening(false);
+    artboardLayer.listening(false);
+    stage.draggable(false);
+    stage.container().style.cursor = 'crosshair';
+    regionSelect = { start: null, rect: null };
+}
+
+function endRegionSelect() {
+    if (!regionSelect) return;
+    if (regionSelect.rect) regionSelect.rect.destroy();
+    regionSelect = null;
+    imageLayer.listening(true);
+    artboardLayer.listening(true);
+    stage.draggable(true);
+    stage.container().style.cursor = 'default';
+    artboardLayer.batchDraw();
+}
+
+function finishRegionSelect() {
+    const rect = regionSelect.rect;
+    const region = rect ? rect.getClientRect({ skipStroke: true, relativeTo: artboardLayer }) : null;
+    endRegionSelect();
+
+    // Ignore stray clicks
+    if (!region || region.width < 4 || region.height < 4) return;
+
+    const images = getAllImages().filter(img => {
+        const r = getLayerRect(captureImageState(img));
+        return r.x < region.x + region.width && r.x + r.width > region.x &&
+               r.y < region.y + region.height && r.y + r.height > region.y;
+    });
+    if (images.length === 0) {
+        alert('No images in the selected region');
+        return;
+    }
+
+    exportCanvas(undefined, { images, region, title: 'Export Region' });
+}
+
+// ============================================
+// Layered Export (OpenRaster / PSD)
+// ============================================
+
+// Render and encode a layered export in the export worker, falling back to
+// the page where OffscreenCanvas is missing
+async function renderLayeredExport(images, layout, format, background, metadata) {
+    const { outputWidth: width, outputHeight: height } = layout;
+    const layers = getLayeredDescriptors(getLayerStates(images), layout);
+    const kind = format.ext === '.psd' ? 'psd' : 'ora';
+
+    let result;
+    if (typeof OffscreenCanvas === 'undefined' || !window.Worker) {
+        result = await encodeLayered(kind, layers, width, height, background, metadata, {
+            createCanvas: createPageCanvas,
+            onProgress: async (fraction, text) => {
+                updateProgress(Math.round(fraction * 95), text);
+                await new Promise(resolve => setTimeout(resolve, 0)); // let progress and cancel through
+                throwIfExportCancelled();
+            }
+        });
+    } else {
+        result = await runExportWorker(layers, { layered: kind, width, height, background, metadata });
+    }
+    return kind === 'psd' ? result : await packOpenRaster(result);
+}
+
+// OpenRaster: a zip (like .montage) with an uncompressed mimetype entry
+// first, stack.xml listing layers top to bottom, one PNG per layer, plus the
+// merged image and a thumbnail
+async function packOpenRaster(parts) {
+    updateProgress(95, 'Creating archive...');
+    const zip = new JSZip();
+    zip.file('mimetype', 'image/openraster', { compression: 'STORE' });
+    parts.layers.forEach((layer, i) => zip.file(`data/layer${i}.png`, layer.png, { compression: 'STORE' }));
+    zip.file('stack.xml', buildOpenRasterStack(parts));
+    zip.file('mergedimage.png', parts.merged, { compression: 'STORE' });
+    zip.file('Thumbnails/thumbnail.png', parts.thumbnail, { compression: 'STORE' });
+    return await zip.generateAsync({ type: 'blob', mimeType: 'image/openraster', compression: 'DEFLATE' });
+}
+
+// ============================================
+// Metadata (EXIF / XMP)
+// ============================================
+
+// Capture info kept per image: { make, model, dateTimeOriginal, gps: { latitude, longitude, altitude } }
+// Read from JPEG APP1, PNG eXIf and HEIC Exif items; anything else yields null.
+function readImageMetadata(buffer) {
+    try {
+        const view = new DataView(buffer);
+        const tiffOffset = findJpegExif(view) ?? findPngExif(view) ?? findHeifExif(view);
+        return tiffOffset === null ? null : parseExifTiff(view, tiffOffset);
+    } catch (err) {
+        console.warn('Could not read image metadata:', err);
+        return null;
+    }
+}
+
+function readAscii(view, offset, length) {
+    let text = '';
+    for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+        text += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return text;
+}
+
+function findJpegExif(view) {
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return null;
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) break; // start of scan
+        const length = view.getUint16(offset + 2);
+        if (marker === 0xffe1 && readAscii(view, offset + 4, 6) === 'Exif\0\0') return offset + 10;
+        offset += 2 + length;
+    }
+    return null;
+}
+
+function findPngExif(view) {
+    if (view.byteLength < 8 || view.getUint32(0) !== 0x89504e47) return null;
+    let offset = 8;
+    while (offset + 8 <= view.byteLength) {
+        const length = view.getUint32(offset);
+        const type = readAscii(view, offset + 4, 4);
+        if (type === 'eXIf') return offset + 8;
+        if (type === 'IEND') break;
+        offset += 12 + length;
+    }
+    return null;
+}
+
+// HEIC/HEIF (ISOBMFF): find the 'Exif' item in meta/iinf and its location in meta/iloc
+function findHeifExif(view) {
+    if (view.byteLength < 12 || readAscii(view, 4, 4) !== 'ftyp') return null;
+
+    function children(start, end) {
+        const boxes = {};
+        for (let offset = start; offset + 8 <= end;) {
+            let size = view.getUint32(offset);
+            const type = readAscii(view, offset + 4, 4);
+            if (size === 0) size = end - offset;
+            if (size < 8) break;
+            boxes[type] = { start: offset + 8, end: offset + size };
+            offset += size;
+        }
+        return boxes;
+    }
+
+    const meta = children(0, view.byteLength).meta;
+    if (!meta) return null;
+    const metaBoxes = children(meta.start + 4, meta.end); // full box: skip version/flags
+    const { iinf, iloc } = metaBoxes;
+    if (!iinf || !iloc) return null;
+
+    // Item info: find the Exif item ID
+    const iinfVersion = view.getUint8(iinf.start);
+    let exifItemId = null;
+    const infeStart = iinf.start + 4 + (iinfVersion === 0 ? 2 : 4);
+    for (let offset = infeStart; offset + 8 <= iinf.end;) {
+        const size = view.getUint32(offset);
+        if (size < 8) break;
+        const version = view.getUint8(offset + 8);
+        if (readAscii(view, offset + 4, 4) === 'infe' && version >= 2) {
+            const idSize = version === 2 ? 2 : 4;
+            const itemId = idSize === 2 ? view.getUint16(offset + 12) : view.getUint32(offset + 12);
+            if (readAscii(view, offset + 12 + idSize + 2, 4) === 'Exif') {
+                exifItemId = itemId;
+                break;
+            }
+        }
+        offset += size;
+    }
+    if (exifItemId === null) return null;
+
+    // Item location: first extent of the Exif item
+    const version = view.getUint8(iloc.start);
+    let p = iloc.start + 4;
+    const sizes = view.getUint16(p);
+    p += 2;
+    const offsetSize = sizes >> 12, lengthSize = (sizes >> 8) & 0xf;
+    const baseOffsetSize = (sizes >> 4) & 0xf, indexSize = version > 0 ? sizes & 0xf : 0;
+    const readSized = (size) => {
+        const value = size === 8 ? Number(view.getBigUint64(p)) : size === 4 ? view.getUint32(p) : size === 2 ? view.getUint16(p) : 0;
+        p += size;
+        return value;
+    };
+    const itemCount = version < 2 ? view.getUint16(p) : view.getUint32(p);
+    p += version < 2 ? 2 : 4;
+
+    for (let i = 0; i < itemCount; i++) {
+        const itemId = version < 2 ? view.getUint16(p) : view.getUint32(p);
+        p += version < 2 ? 2 : 4;
+        if (version > 0) p += 2; // construction method
+        p += 2; // data reference index
+        const baseOffset = readSized(baseOffsetSize);
+        const extentCount = view.getUint16(p);
+        p += 2;
+        let firstOffset = null;
+        for (let e = 0; e < extentCount; e++) {
+            readSized(indexSize);
+            const extentOffset = readSized(offsetSize);
+            readSized(lengthSize);
+            if (firstOffset === null) firstOffset = baseOffset + extentOffset;
+        }
+        if (itemId === exifItemId && firstOffset !== null) {
+            // Exif item data starts with the offset to the TIFF header
+            return firstOffset + 4 + view.getUint32(firstOffset);
+        }
+    }
+    return null;
+}
+
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+function parseExifTiff(view, start) {
+    const little = view.getUint16(start) === 0x4949;
+    const u16 = (o) => view.getUint16(start + o, little);
+    const u32 = (o) => view.getUint32(start + o, little);
+
+    function readIfd(offset) {
+        const tags = {};
+        const count = u16(offset);
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            const tag = u16(entry);
+            const type = u16(entry + 2);
+            const n = u32(entry + 4);
+            const size = (TIFF_TYPE_SIZES[type] || 1) * n;
+            const valueOffset = size > 4 ? u32(entry + 8) : entry + 8;
+            if (type === 2) {
+                tags[tag] = readAscii(view, start + valueOffset, n).replace(/\0+$/, '').trim();
+            } else if (type === 3) {
+                tags[tag] = u16(valueOffset);
+            } else if (type === 4) {
+                tags[tag] = u32(valueOffset);
+            } else if (type === 5) {
+                tags[tag] = [];
+                for (let k = 0; k < n; k++) {
+                    const denominator = u32(valueOffset + k * 8 + 4);
+                    tags[tag].push(denominator ? u32(valueOffset + k * 8) / denominator : 0);
+                }
+            } else if (type === 1) {
+                tags[tag] = view.getUint8(start + valueOffset);
+            }
+        }
+        return tags;
+    }
+
+    const ifd0 = readIfd(u32(4));
+    const exif = ifd0[0x8769] ? readIfd(ifd0[0x8769]) : {};
+    const gpsTags = ifd0[0x8825] ? readIfd(ifd0[0x8825]) : {};
+
+    const metadata = {};
+    if (ifd0[0x010f]) metadata.make = ifd0[0x010f];
+    if (ifd0[0x0110]) metadata.model = ifd0[0x0110];
+    // Only the capture time: IFD0's DateTime (0x0132) is when the file was
+    // last changed, which editors update
+    if (exif[0x9003]) metadata.dateTimeOriginal = exif[0x9003];
+
+    const dms = (parts) => parts[0] + parts[1] / 60 + parts[2] / 3600;
+    if (Array.isArray(gpsTags[2]) && Array.isArray(gpsTags[4])) {
+        metadata.gps = {
+            latitude: dms(gpsTags[2]) * (gpsTags[1] === 'S' ? -1 : 1),
+            longitude: dms(gpsTags[4]) * (gpsTags[3] === 'W' ? -1 : 1)
+        };
+        if (Array.isArray(gpsTags[6])) {
+            metadata.gps.altitude = gpsTags[6][0] * (gpsTags[5] === 1 ? -1 : 1);
+        }
+    }
+
+    return Object.keys(metadata).length > 0 ? metadata : null;
+}
+
+// ============================================
+// Progress Modal
+// ============================================
+
+// onCancel, if given, adds a Cancel button
+function showProgressModal(title, onCancel) {
+    hideProgressModal();
+    progressModal = document.createElement('div');
+    progressModal.className = 'progress-modal';
+    progressModal.innerHTML = `
+        <h3>${title}</h3>
+        <div class="progress-bar-container">
+            <div class="progress-bar"></div>
+        </div>
+        <div class="progress-text">Preparing...</div>
+        ${onCancel ? '<button class="progress-cancel">Cancel</button>' : ''}
+    `;
+    if (onCancel) {
+        progressModal.querySelector('.progress-cancel').addEventListener('click', onCancel);
+    }
+    document.body.appendChild(progressModal);
+}
+
+function updateProgress(percent, text) {
+    if (!progressModal) return;
+    const bar = progressModal.querySelector('.progress-bar');
+    const textEl = progressModal.querySelector('.progress-text');
+    if (bar) bar.style.width = percent + '%';
+    if (textEl) textEl.textContent = text;
+}
+
+function hideProgressModal() {
+    if (progressModal) {
+        progressModal.remove();
+        progressModal = null;
+    }
+}
+
+// ============================================
+// Load Report
+// ============================================
+
+// Show what was wrong with a project and let the user decide whether to load
+// it anyway. Resolves true to load.
+function showLoadReport(report, fileName) {
+    hideLoadReport();
+
+    return new Promise(resolve => {
+        const section = (title, items) => items.length === 0 ? '' : `
+            <h4>${title}</h4>
+            <ul>${items.map(item => `<li>${escapeXml(item)}</li>`).join('')}</ul>
+        `;
+
+        loadReportDialog = document.createElement('div');
+        loadReportDialog.className = 'load-report';
+        loadReportDialog.innerHTML = `
+            <h3>Problems in ${escapeXml(fileName)}</h3>
+            <div class="load-report-body">
+                ${section('Warnings', report.warnings)}
+                ${section('Missing images (these layers will be left out)', report.missingAssets)}
+                ${section('Corrected values', report.corrections)}
+                ${section('Unknown fields (ignored)', report.unknownKeys)}
+            </div>
+            <div class="export-dialog-buttons">
+                <button data-action="cancel">Cancel</button>
+                <button data-action="load" class="btn-primary">Load Anyway</button>
+            </div>
+        `;
+
+        const close = (result) => {
+            hideLoadReport();
+            resolve(result);
+        };
+
+        loadReportDialog.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (button) close(button.dataset.action === 'load');
+        });
+        loadReportDialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                close(false);
+            }
+        });
+
+        document.body.appendChild(loadReportDialog);
+        loadReportDialog.querySelector('[data-action="load"]').focus();
+    });
+}
+
+function hideLoadReport() {
+    if (loadReportDialog) {
+        loadReportDialog.remove();
+        loadReportDialog = null;
+    }
+}
+
+// ============================================
+// Project Save/Load
+// ============================================
+
+// Document settings saved alongside the images
+function captureDocumentSettings() {
+    const selected = getSelectedImage();
+    return {
+        name: currentProjectName,
+        view: { scale: stage.scaleX(), x: stage.x(), y: stage.y() },
+        background: document.body.classList.contains('light-bg') ? 'light' : 'dark',
+        selection: selected ? selected.getAttr('imageId') : null
+    };
+}
+
+// Put back the settings of a project opened as the document
+function applyDocumentSettings(settings) {
+    if (settings.view) {
+        stage.scale({ x: settings.view.scale, y: settings.view.scale });
+        stage.position({ x: settings.view.x, y: settings.view.y });
+        zoomLevelSpan.textContent = Math.round(settings.view.scale * 100) + '%';
+        updateControlSizes();
+    }
+    if (settings.background) {
+        document.body.classList.toggle('light-bg', settings.background === 'light');
+    }
+    projectCreatedAt = settings.created || null;
+    const selected = settings.selection && findImageById(settings.selection);
+    transformer.nodes(selected ? [selected] : []);
+    transformer.moveToTop();
+    updateCropHandles();
+    stage.batchDraw();
+}
+
+const PREVIEW_SIZE = 512; // long edge of preview.jpg
+
+async function serializeStateToZip(state, settings = captureDocumentSettings()) {
+    const zip = new JSZip();
+    const imgFolder = zip.folder('images');
+
+    // Image data is already compressed; deflating it again only costs time
+    const projectData = await buildProjectData(state, settings, (filename, blob, asset) => {
+        if (!asset.path) imgFolder.file(filename, blob, { compression: 'STORE' });
+    });
+    zip.file('project.json', JSON.stringify(projectData, null, 2));
+
+    // So file browsers and scripts can show the project without rendering it
+    updateProgress(85, 'Rendering preview...');
+    const preview = await renderThumbnail(PREVIEW_SIZE);
+    if (preview) zip.file('preview.jpg', preview, { compression: 'STORE' });
+
+    updateProgress(90, 'Creating archive...');
+
+    return await zip.generateAsync({
+        type: 'blob',
+        compression: 'DEFLATE',
+        compressionOptions: { level: 6 }
+    }, (metadata) => {
+        updateProgress(90 + Math.round(metadata.percent * 0.1), 'Creating archive...');
+    });
+}
+
+// Save a project as a folder, for version control: a pretty-printed
+// project.json with stably ordered keys and assets, and the original image
+// files in images/, named by content hash. Unchanged images aren't
+// rewritten, and images no longer used are removed. The view and selection
+// go to view.json, and an unchanged project.json keeps its modified time, so
+// saving an unchanged project changes nothing under version control.
+async function writeProjectFolder(state, folder, settings = captureDocumentSettings()) {
+    const imgFolder = await folder.getDirectoryHandle('images', { create: true });
+    const existing = new Set();
+    for await (const name of imgFolder.keys()) existing.add(name);
+
+    const used = new Set();
+    const projectData = await buildProjectData(state, settings, async (filename, blob, asset) => {
+        if (asset.path) return;
+        used.add(filename);
+        if (!existing.has(filename)) await writeFileInFolder(imgFolder, filename, blob);
+    });
+    projectData.assets.sort((a, b) => a.id.localeCompare(b.id));
+    const { project, view } = splitFolderViewData(projectData);
+
+    updateProgress(90, 'Writing project.json...');
+    const withoutModified = data => stableStringify({ ...data, info: { ...data.info, modified: null } });
+    let previous = null;
+    try {
+        previous = JSON.parse(await readFolderText(folder, 'project.json'));
+    } catch (err) {
+        // Missing or damaged: write it
+    }
+    if (!previous || withoutModified(previous) !== withoutModified(project)) {
+        await writeFileInFolder(folder, 'project.json', stableStringify(project) + '\n');
+    }
+    const viewText = stableStringify(view) + '\n';
+    if (await readFolderText(folder, 'view.json') !== viewText) {
+        await writeFileInFolder(folder, 'view.json', viewText);
+    }
+
+    for (const name of existing) {
+        if (!used.has(name) && /^[0-9a-f]{64}\.\w+$/.test(name)) await imgFolder.removeEntry(name);
+    }
+}
+
+// The text of a file already in a folder, or null
+async function readFolderText(folder, name) {
+    try {
+        const handle = await folder.getFileHandle(name);
+        return await (await handle.getFile()).text();
+    } catch (err) {
+        return null;
+    }
+}
+
+async function writeFileInFolder(folder, name, data) {
+    const handle = await folder.getFileHandle(name, { create: true });
+    const writable = await handle.createWritable();
+    await writable.write(data);
+    await writable.close();
+}
+
+// JSON with object keys sorted and two-space indents, so saving an unchanged
+// project gives the same text
+function stableStringify(value) {
+    return JSON.stringify(value, (key, val) => {
+        if (!val || typeof val !== 'object' || Array.isArray(val)) return val;
+        return Object.fromEntries(Object.keys(val).sort().map(k => [k, val[k]]));
+    }, 2);
+}
+
+// Summary for tools that read project.json without loading the images.
+// bounds are in canvas coordinates (independent of zoom). created is null
+// until the project is first saved (autosaves don't count).
+function buildProjectInfo(state) {
+    const bounds = state.images.length > 0 ? getCompositionBounds(state.images) : null;
+    return {
+        created: projectCreatedAt,
+        modified: new Date().toISOString(),
+        appVersion: APP_VERSION,
+        layerCount: state.images.length,
+        bounds: bounds && {
+            x: Math.round(bounds.x),
+            y: Math.round(bounds.y),
+            width: Math.round(bounds.width),
+            height: Math.round(bounds.height)
+        }
+    };
+}
+
+// project.json data for a state. writeAsset(filename, blob, asset) is called
+// once for each distinct image, and may be async; asset.path is set for
+// linked images, which archives don't store. onProgress(percent, text)
+// defaults to the progress modal.
+async function buildProjectData(state, settings, writeAsset, onProgress = updateProgress) {
+    const projectData = {
+        version: PROJECT_VERSION,
+        info: buildProjectInfo(state),
+        ...settings,
+        assets: [],
+        images: [],
+        artboard: state.artboard || null
+    };
+
+    for (let i = 0; i < state.images.length; i++) {
+        const imgState = state.images[i];
+
+        onProgress(
+            Math.round((i / state.images.length) * 80),
+            `Processing image ${i + 1} of ${state.images.length}...`
+        );
+
+        // Each distinct image is stored once, named by its content hash;
+        // duplicated layers point at the same asset
+        const source = await getImageSource(imgState.imageRef);
+        const assetId = await getImageSourceHash(source);
+        if (!projectData.assets.some(asset => asset.id === assetId)) {
+            const asset = {
+                id: assetId,
+                filename: `${assetId}${imageFormatExtensions[source.format]}`,
+                format: source.format,
+                path: source.link ? source.link.path : undefined
+            };
+            await writeAsset(asset.filename, source.blob, asset);
+            projectData.assets.push(asset);
+        }
 
         projectData.images.push({
-            filename: filename,
+            asset: assetId,
             id: imgState.id,
             x: imgState.x,
             y: imgState.y,
@@ -1373,220 +2682,1220 @@ async function serializeStateToZip(state) {
             originalWidth: imgState.originalWidth,
             originalHeight: imgState.originalHeight,
             name: imgState.name,
+            metadata: imgState.metadata || undefined,
             zIndex: imgState.zIndex
         });
     }
 
-    zip.file('project.json', JSON.stringify(projectData, null, 2));
+    return projectData;
+}
+
+// The original encoded bytes of an image, or a lossless PNG when they
+// aren't known
+async function getImageSource(imageRef) {
+    const source = imageSources.get(imageRef);
+    if (source && imageFormatExtensions[source.format]) return source;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = imageRef.width;
+    canvas.height = imageRef.height;
+    canvas.getContext('2d').drawImage(imageRef, 0, 0);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+
+    const pngSource = { blob, format: 'image/png' };
+    imageSources.set(imageRef, pngSource); // encode once per session
+    return pngSource;
+}
+
+// SHA-256 of the encoded bytes, as hex. Cached on the source, which is
+// shared by every layer using the image.
+async function getImageSourceHash(source) {
+    if (!source.hash) {
+        const digest = await crypto.subtle.digest('SHA-256', await source.blob.arrayBuffer());
+        source.hash = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+    return source.hash;
+}
+
+async function saveProject() {
+    const state = captureState();
+    if (state.images.length === 0) {
+        alert('No images to save');
+        return;
+    }
+
+    // First save: show picker to get a file handle
+    if (!currentProjectHandle) {
+        try {
+            currentProjectHandle = await window.showSaveFilePicker({
+                id: 'project',
+                suggestedName: currentProjectName,
+                types: [{
+                    description: 'Montage Project',
+                    accept: { 'application/octet-stream': ['.montage'] }
+                }]
+            });
+        } catch (err) {
+            if (err.name === 'AbortError') return;
+            console.error('Error picking save location:', err);
+            alert('Failed to save: ' + err.message);
+            return;
+        }
+    }
+
+    showProgressModal('Saving Project...');
+
+    const previousCreatedAt = projectCreatedAt;
+    if (!projectCreatedAt) projectCreatedAt = new Date().toISOString();
+
+    try {
+        if (currentProjectHandle.kind === 'directory') {
+            await writeProjectFolder(state, currentProjectHandle);
+        } else {
+            const content = await serializeStateToZip(state);
+
+            updateProgress(95, 'Writing file...');
+
+            const writable = await currentProjectHandle.createWritable();
+            await writable.write(content);
+            await writable.close();
+        }
+
+        updateProgress(100, 'Done!');
+
+        hasUnsavedChanges = false;
+        updateTitle(currentProjectHandle.name);
+        rememberLinkRoot();
+        clearAutosave();
+        addRecentProject(currentProjectHandle);
+        setTimeout(hideProgressModal, 500);
+        return true;
+
+    } catch (err) {
+        projectCreatedAt = previousCreatedAt;
+        hideProgressModal();
+        console.error('Error saving project:', err);
+        alert('Failed to save project: ' + err.message);
+        return false;
+    }
+}
+
+async function saveProjectAs() {
+    const oldHandle = currentProjectHandle;
+    currentProjectHandle = null; // Force picker
+    await saveProject();
+    // If user cancelled the picker, saveProject returned early without setting a handle
+    if (!currentProjectHandle) {
+        currentProjectHandle = oldHandle;
+    }
+}
+
+async function saveProjectAsFolder() {
+    if (getAllImages().length === 0) {
+        alert('No images to save');
+        return;
+    }
+
+    let folder;
+    try {
+        folder = await window.showDirectoryPicker({ id: 'project', mode: 'readwrite' });
+    } catch (err) {
+        if (err.name !== 'AbortError') console.error('Error picking save folder:', err);
+        return;
+    }
+
+    const names = [];
+    for await (const name of folder.keys()) names.push(name);
+    if (names.includes('project.json') &&
+        !confirm(`"${folder.name}" already contains a project. Replace it?`)) {
+        return;
+    }
+
+    const oldHandle = currentProjectHandle;
+    currentProjectHandle = folder;
+    if (!await saveProject()) currentProjectHandle = oldHandle;
+}
+
+// Files of a project by path: a .montage archive (File, Blob or
+// ArrayBuffer), a project folder (FileSystemDirectoryHandle), or, for
+// scripts, an object mapping paths to Blobs, ArrayBuffers or strings.
+// Returns readFile(path), which resolves to a Blob or null.
+async function openProjectFiles(file) {
+    if (file && file.kind === 'directory') {
+        return async (path) => {
+            const handle = await resolveLinkPath(file, path);
+            return handle ? await handle.getFile() : null;
+        };
+    }
+    if (file && Object.getPrototypeOf(file) === Object.prototype) {
+        return async (path) => Object.hasOwn(file, path) ? new Blob([file[path]]) : null;
+    }
+
+    const zip = await JSZip.loadAsync(file);
+    return async (path) => {
+        const entry = zip.file(path);
+        return entry ? new Blob([await entry.async('arraybuffer')]) : null;
+    };
+}
+
+// Read a project, from a .montage archive or a project folder (see
+// openProjectFiles). Returns the state to restore and a load report listing
+// anything that had to be corrected or left out. Throws only when it isn't a
+// project at all.
+async function deserializeStateFromZip(file, resolveLinks = null) {
+    const readFile = await openProjectFiles(file);
+    const projectFile = await readFile('project.json');
+
+    if (!projectFile) {
+        throw new Error('Invalid project: missing project.json');
+    }
+
+    let projectData;
+    try {
+        projectData = JSON.parse(await projectFile.text());
+    } catch (err) {
+        throw new Error('Invalid project: project.json is not valid JSON');
+    }
+    const viewFile = await readFile('view.json');
+    projectData = mergeFolderViewData(projectData, viewFile && await viewFile.text());
+
+    return await readProjectData(projectData, filename => readFile(`images/${filename}`), resolveLinks);
+}
+
+// Turn project.json data into a state, with the load report and document
+// settings. readAsset(filename) resolves to the image's Blob, or null when
+// it is missing. Linked assets that readAsset doesn't have are passed, all
+// together, to resolveLinks(assets, report), which resolves to a Map of
+// asset id to Blob; without it they are missing.
+async function readProjectData(projectData, readAsset, resolveLinks = null) {
+    const { project, report } = checkProjectData(projectData);
+    const totalImages = project.images.length;
+
+    // Read every asset up front, so linked files can be resolved in one go
+    const assetData = new Map();
+    for (const { asset } of project.images) {
+        if (!assetData.has(asset.id)) assetData.set(asset.id, await readAsset(asset.filename));
+    }
+    const unresolved = [...new Set(project.images.map(imgData => imgData.asset))]
+        .filter(asset => asset.path && !assetData.get(asset.id));
+    if (unresolved.length > 0 && resolveLinks) {
+        const resolved = await resolveLinks(unresolved, report);
+        resolved.forEach((blob, id) => assetData.set(id, blob));
+    }
+
+    const state = {
+        version: 2,
+        images: [],
+        artboard: project.artboard
+    };
+
+    // Decode each asset once and share the Image between its layers. img is
+    // null for a missing or undecodable asset.
+    const decoded = new Map();
+
+    for (let i = 0; i < totalImages; i++) {
+        const imgData = project.images[i];
+        const { asset } = imgData;
+
+        updateProgress(
+            20 + Math.round((i / totalImages) * 75),
+            `Loading image ${i + 1} of ${totalImages}...`
+        );
+
+        if (!decoded.has(asset.id)) {
+            const data = assetData.get(asset.id);
+            let img = null;
+            if (data) {
+                const imgBlob = new Blob([data], { type: asset.format });
+                try {
+                    img = await loadImageFromBlob(imgBlob, asset.filename);
+                    const source = imageSources.get(img);
+                    if (asset.path) {
+                        source.link = { path: asset.path };
+                    } else if (/^[0-9a-f]{64}$/.test(asset.id)) {
+                        // Keep the known hash so saving again doesn't recompute it
+                        // (linked files may have changed on disk since)
+                        source.hash = asset.id;
+                    }
+                } catch (err) {
+                    console.warn(err.message);
+                }
+            }
+            decoded.set(asset.id, { img, found: Boolean(data) });
+        }
+        const { img: imageRef, found } = decoded.get(asset.id);
+        if (!imageRef) {
+            reportMissingAsset(imgData, found, report);
+            continue;
+        }
+
+        state.images.push(createLayerState(imgData, imageRef, report));
+    }
+
+    return { state, report, settings: project.settings };
+}
+
+// Decode an encoded image, remembering the bytes as its source
+function loadImageFromBlob(blob, label) {
+    const url = URL.createObjectURL(blob);
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            imageSources.set(img, { blob, format: blob.type });
+            resolve(img);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(`Failed to load image: ${label}`));
+        };
+        img.src = url;
+    });
+}
+
+// Open a project as the document, or (place) add it to the current one.
+// options: { open, handle } — handle is the file's FileSystemFileHandle when
+// it came from a picker, so Save writes back to it.
+async function loadProject(file, options = {}) {
+    showProgressModal(options.open ? 'Opening Project...' : 'Adding from Project...');
+
+    try {
+        await readProjectIntoCanvas(file, { ...options, interactive: true });
+        updateProgress(100, 'Done!');
+        setTimeout(hideProgressModal, 500);
+    } catch (err) {
+        hideProgressModal();
+        if (err.name !== 'AbortError') {
+            console.error('Error loading project:', err);
+            alert('Failed to load project: ' + err.message);
+        }
+    }
+}
+
+// Open: pick a .montage file and make it the document
+async function openProject() {
+    if (!confirmDiscardChanges()) return;
+
+    let handle;
+    try {
+        [handle] = await window.showOpenFilePicker({
+            id: 'project',
+            types: [{
+                description: 'Montage Project',
+                accept: { 'application/octet-stream': ['.montage'] }
+            }]
+        });
+    } catch (err) {
+        if (err.name !== 'AbortError') console.error('Error opening project:', err);
+        return;
+    }
+    await loadProject(await handle.getFile(), { open: true, handle });
+}
+
+// Open Folder: pick a project folder and make it the document
+async function openProjectFolder() {
+    if (!confirmDiscardChanges()) return;
+
+    let folder;
+    try {
+        folder = await window.showDirectoryPicker({ id: 'project', mode: 'readwrite' });
+    } catch (err) {
+        if (err.name !== 'AbortError') console.error('Error opening project folder:', err);
+        return;
+    }
+    await loadProject(folder, { open: true, handle: folder });
+}
+
+function confirmDiscardChanges() {
+    return !hasUnsavedChanges || confirm('You have unsaved changes. Discard them?');
+}
+
+// Read a project (a .montage archive or project folder, see
+// openProjectFiles) onto the canvas.
+//
+// With open, the project becomes the document: the canvas is cleared, images
+// keep their coordinates and IDs, the saved view, background, selection and
+// name are restored, undo history starts afresh, and Save goes to handle (or
+// asks where to save when there is none).
+//
+// Otherwise the project is placed: its images get new IDs and are stacked on
+// top of the current ones, centered in the viewport, as one undoable step.
+// The current document and its file are unchanged.
+//
+// With interactive, linked images are looked up in the source folder (asking
+// for it when needed), and a project that needed corrections is only loaded
+// once the user accepts the load report (otherwise rejects with an
+// AbortError). Throws on failure; returns the load report.
+async function readProjectIntoCanvas(file, { open = false, handle = null, interactive = false } = {}) {
+    updateProgress(10, 'Reading project...');
+    updateProgress(20, 'Loading images...');
+
+    const resolveLinks = interactive ? (assets, report) => resolveLinkedAssets(assets, report, file.name) : null;
+    const { state: loadedState, report, settings } = await deserializeStateFromZip(file, resolveLinks);
+    if (loadReportHasProblems(report)) {
+        console.warn('Project load report:', report);
+        if (interactive) {
+            hideProgressModal();
+            if (!await showLoadReport(report, file.name || 'project')) throw abortError();
+        }
+    }
+
+    if (open) {
+        openProjectState(loadedState, settings);
+        clearAutosave();
+        currentProjectHandle = handle;
+        if (handle) addRecentProject(handle);
+        updateTitle(handle ? handle.name : (file.name || settings.name));
+    } else {
+        placeProjectState(loadedState);
+    }
+    return report;
+}
+
+function openProjectState(loadedState, settings) {
+    restoreState(loadedState);
+    imageCount = loadedState.images.length;
+
+    undoStack.length = 0;
+    redoStack.length = 0;
+    hasUnsavedChanges = false;
+
+    // Projects saved before the view was stored: center the content
+    if (!settings.view && loadedState.images.length > 0) {
+        const rect = getCompositionBounds(getLayerStates(getAllImages()));
+        stage.position({
+            x: stage.width() / 2 - (rect.x + rect.width / 2) * stage.scaleX(),
+            y: stage.height() / 2 - (rect.y + rect.height / 2) * stage.scaleY()
+        });
+    }
+    applyDocumentSettings(settings);
+}
+
+function placeProjectState(loadedState) {
+    // Calculate offset to center loaded images in current viewport
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const imgState of loadedState.images) {
+        minX = Math.min(minX, imgState.x);
+        minY = Math.min(minY, imgState.y);
+        maxX = Math.max(maxX, imgState.x);
+        maxY = Math.max(maxY, imgState.y);
+    }
+    const savedCenterX = (minX + maxX) / 2;
+    const savedCenterY = (minY + maxY) / 2;
+
+    // (nothing to center when every layer was left out)
+    const center = getViewportCenter();
+    const offsetX = loadedState.images.length > 0 ? center.x - savedCenterX : 0;
+    const offsetY = loadedState.images.length > 0 ? center.y - savedCenterY : 0;
+
+    // Offset images to viewport center and assign new IDs
+    loadedState.images.forEach(imgState => {
+        imgState.x += offsetX;
+        imgState.y += offsetY;
+        imgState.id = generateImageId();
+    });
+    if (loadedState.artboard) {
+        loadedState.artboard.x += offsetX;
+        loadedState.artboard.y += offsetY;
+    }
+
+    // Push undo before merging
+    pushUndo();
+
+    // Merge with current state - add loaded images to canvas
+    const currentState = captureState();
+    const maxCurrentZIndex = currentState.images.length > 0
+        ? Math.max(...currentState.images.map(img => img.zIndex))
+        : -1;
+
+    // Adjust zIndex of loaded images to be above current images
+    loadedState.images.forEach((imgState, i) => {
+        imgState.zIndex = maxCurrentZIndex + 1 + i;
+    });
+
+    // Merge states
+    // Keep the current artboard; adopt the loaded one only if there is none
+    const mergedState = {
+        version: 2,
+        images: [...currentState.images, ...loadedState.images],
+        artboard: currentState.artboard || loadedState.artboard
+    };
+
+    restoreState(mergedState);
+    imageCount += loadedState.images.length;
+}
+
+// ============================================
+// Autosave & Recovery (IndexedDB)
+// ============================================
+
+// The unsaved document is written to IndexedDB a few seconds after a change:
+// the project data under session/current, and each distinct image once under
+// assets, by the same hashed file name as in a .montage archive. The recent
+// projects list and the source folders of linked images live in the same
+// database.
+const AUTOSAVE_DELAY = 3000;
+const AUTOSAVE_THUMBNAIL_SIZE = 256;
+let autosaveTimeout = null;
+let autosaveInProgress = null; // promise of the autosave being written
+let appDatabase = null;
+
+function openAppDatabase() {
+    if (!appDatabase) {
+        appDatabase = new Promise((resolve, reject) => {
+            const request = indexedDB.open('montage', 3);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                ['session', 'assets', 'recent', 'folders'].forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return appDatabase;
+}
+
+// Run one request against a store, e.g. dbRequest('assets', 'readonly', store => store.getAllKeys())
+async function dbRequest(storeName, mode, makeRequest) {
+    const db = await openAppDatabase();
+    return new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Throttled rather than debounced, so a long run of edits still gets saved
+function scheduleAutosave() {
+    if (!autosaveTimeout) autosaveTimeout = setTimeout(autosave, AUTOSAVE_DELAY);
+}
+
+async function autosave() {
+    autosaveTimeout = null;
+    // One at a time, so one's cleanup can't drop images the other just stored
+    if (autosaveInProgress) {
+        scheduleAutosave();
+        return;
+    }
+    if (!hasUnsavedChanges) {
+        await clearAutosave(); // undone back to the saved state
+        return;
+    }
+
+    // Don't compete with a drag, a transform or a save/export in progress,
+    // or overwrite a session that is still being offered for recovery
+    if (Konva.isDragging() || transformer.isTransforming() || progressModal || recoveryDialog) {
+        scheduleAutosave();
+        return;
+    }
+
+    autosaveInProgress = writeAutosave();
+    try {
+        await autosaveInProgress;
+    } finally {
+        autosaveInProgress = null;
+    }
+}
+
+async function writeAutosave() {
+    try {
+        const stored = new Set(await dbRequest('assets', 'readonly', store => store.getAllKeys()));
+        const used = new Set();
+        const project = await buildProjectData(captureState(), captureDocumentSettings(), async (filename, blob) => {
+            used.add(filename);
+            if (!stored.has(filename)) await dbRequest('assets', 'readwrite', store => store.put(blob, filename));
+        }, () => {}); // in the background: leave the progress modal to Save and Export
+        const thumbnail = await renderThumbnail(AUTOSAVE_THUMBNAIL_SIZE);
+        await dbRequest('session', 'readwrite', store => store.put({ savedAt: Date.now(), project, thumbnail }, 'current'));
+
+        // Drop images no longer used
+        for (const filename of stored) {
+            if (!used.has(filename)) await dbRequest('assets', 'readwrite', store => store.delete(filename));
+        }
+    } catch (err) {
+        console.warn('Autosave failed:', err);
+    }
+}
+
+// Once the document is saved (or discarded) there is nothing to recover
+async function clearAutosave() {
+    clearTimeout(autosaveTimeout);
+    autosaveTimeout = null;
+    // Let an autosave already under way finish first, or it would write the
+    // session back after it was cleared
+    if (autosaveInProgress) await autosaveInProgress;
+    try {
+        await dbRequest('session', 'readwrite', store => store.clear());
+        await dbRequest('assets', 'readwrite', store => store.clear());
+    } catch (err) {
+        console.warn('Could not clear autosave:', err);
+    }
+}
+
+// On launch: offer to restore a session that was never saved
+async function offerRecovery() {
+    let session;
+    try {
+        session = await dbRequest('session', 'readonly', store => store.get('current'));
+    } catch (err) {
+        console.warn('Could not read autosave:', err);
+        return;
+    }
+    if (!session) return;
+
+    if (!await showRecoveryPrompt(session)) {
+        await clearAutosave();
+        return;
+    }
+
+    showProgressModal('Restoring Session...');
+    try {
+        const { state, report, settings } = await readProjectData(session.project,
+            filename => dbRequest('assets', 'readonly', store => store.get(filename)));
+        if (loadReportHasProblems(report)) console.warn('Recovered session load report:', report);
+
+        openProjectState(state, settings);
+        currentProjectHandle = null; // file handles don't survive a reload
+        updateTitle(settings.name);
+        hasUnsavedChanges = true; // still not saved anywhere
+        updateProgress(100, 'Done!');
+        setTimeout(hideProgressModal, 500);
+    } catch (err) {
+        hideProgressModal();
+        console.error('Error restoring session:', err);
+        alert('Failed to restore the session: ' + err.message);
+    }
+}
+
+// Resolves true to restore
+function showRecoveryPrompt(session) {
+    return new Promise(resolve => {
+        const count = session.project.images.length;
+        const thumbnailUrl = session.thumbnail ? URL.createObjectURL(session.thumbnail) : null;
+
+        recoveryDialog = document.createElement('div');
+        recoveryDialog.className = 'recovery-prompt';
+        recoveryDialog.innerHTML = `
+            <h3>Restore unsaved work?</h3>
+            ${thumbnailUrl ? `<img class="recovery-thumbnail" src="${thumbnailUrl}" alt="">` : ''}
+            <p>${escapeXml(session.project.name || 'Untitled')} — ${count} image${count === 1 ? '' : 's'},
+               last changed ${escapeXml(new Date(session.savedAt).toLocaleString())}</p>
+            <div class="export-dialog-buttons">
+                <button data-action="discard">Discard</button>
+                <button data-action="restore" class="btn-primary">Restore</button>
+            </div>
+        `;
+
+        const close = (result) => {
+            recoveryDialog.remove();
+            recoveryDialog = null;
+            if (thumbnailUrl) URL.revokeObjectURL(thumbnailUrl);
+            resolve(result);
+        };
 
-    updateProgress(90, 'Creating archive...');
+        recoveryDialog.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (button) close(button.dataset.action === 'restore');
+        });
 
-    return await zip.generateAsync({
-        type: 'blob',
-        compression: 'DEFLATE',
-        compressionOptions: { level: 6 }
-    }, (metadata) => {
-        updateProgress(90 + Math.round(metadata.percent * 0.1), 'Creating archive...');
+        document.body.appendChild(recoveryDialog);
+        recoveryDialog.querySelector('[data-action="restore"]').focus();
     });
 }
 
-async function saveProject() {
-    const state = captureState();
-    if (state.images.length === 0) {
-        alert('No images to save');
-        return;
+// ============================================
+// Recent Projects
+// ============================================
+
+// File (or folder) handles of recently opened or saved projects, newest first, with a
+// thumbnail. Handles survive reloads in IndexedDB, but permission to read
+// them has to be asked for again.
+const MAX_RECENT_PROJECTS = 8;
+const RECENT_THUMBNAIL_SIZE = 96;
+
+async function getRecentProjects() {
+    const entries = await dbRequest('recent', 'readonly', store => store.getAll());
+    return entries.sort((a, b) => b.usedAt - a.usedAt);
+}
+
+async function addRecentProject(handle) {
+    try {
+        const entries = await getRecentProjects();
+        for (const entry of entries) {
+            if (await entry.handle.isSameEntry(handle)) {
+                await dbRequest('recent', 'readwrite', store => store.delete(entry.id));
+            }
+        }
+        const entry = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            handle,
+            name: handle.name,
+            usedAt: Date.now(),
+            thumbnail: await renderThumbnail(RECENT_THUMBNAIL_SIZE)
+        };
+        await dbRequest('recent', 'readwrite', store => store.put(entry, entry.id));
+
+        const stale = (await getRecentProjects()).slice(MAX_RECENT_PROJECTS);
+        for (const old of stale) {
+            await dbRequest('recent', 'readwrite', store => store.delete(old.id));
+        }
+    } catch (err) {
+        console.warn('Could not update recent projects:', err);
     }
+}
 
-    // First save: show picker to get a file handle
-    if (!currentProjectHandle) {
-        try {
-            currentProjectHandle = await window.showSaveFilePicker({
-                id: 'project',
-                suggestedName: currentProjectName,
-                types: [{
-                    description: 'Montage Project',
-                    accept: { 'application/octet-stream': ['.montage'] }
-                }]
-            });
-        } catch (err) {
-            if (err.name === 'AbortError') return;
-            console.error('Error picking save location:', err);
-            alert('Failed to save: ' + err.message);
+async function removeRecentProject(id) {
+    await dbRequest('recent', 'readwrite', store => store.delete(id));
+    renderRecentProjects();
+}
+
+async function openRecentProject(entry) {
+    if (!confirmDiscardChanges()) return;
+    try {
+        const options = { mode: 'readwrite' };
+        if (await entry.handle.queryPermission(options) !== 'granted' &&
+            await entry.handle.requestPermission(options) !== 'granted') {
             return;
         }
+        const file = entry.handle.kind === 'directory' ? entry.handle : await entry.handle.getFile();
+        await loadProject(file, { open: true, handle: entry.handle });
+    } catch (err) {
+        if (err.name === 'NotFoundError') {
+            alert(`${entry.name} can no longer be found. It has been removed from the recent list.`);
+            removeRecentProject(entry.id);
+        } else {
+            console.error('Error opening recent project:', err);
+            alert('Failed to open project: ' + err.message);
+        }
     }
+}
 
-    showProgressModal('Saving Project...');
-
+// Fill the Recent panel in the empty-canvas drop zone
+async function renderRecentProjects() {
+    const panel = dropZone.querySelector('.recent-projects');
+    let entries = [];
     try {
-        const content = await serializeStateToZip(state);
+        entries = await getRecentProjects();
+    } catch (err) {
+        console.warn('Could not read recent projects:', err);
+    }
 
-        updateProgress(95, 'Writing file...');
+    panel.querySelectorAll('.recent-thumbnail').forEach(img => URL.revokeObjectURL(img.src));
+    panel.hidden = entries.length === 0;
+    if (entries.length === 0) {
+        panel.innerHTML = '';
+        return;
+    }
 
-        const writable = await currentProjectHandle.createWritable();
-        await writable.write(content);
-        await writable.close();
+    panel.innerHTML = `
+        <h4>Recent</h4>
+        <ul>
+            ${entries.map(entry => `
+                <li class="recent-project" data-id="${escapeXml(entry.id)}" title="Open ${escapeXml(entry.name)}">
+                    ${entry.thumbnail ? `<img class="recent-thumbnail" src="${URL.createObjectURL(entry.thumbnail)}" alt="">` : '<span class="recent-thumbnail"></span>'}
+                    <span class="recent-name">${escapeXml(entry.name)}</span>
+                    <span class="recent-date">${escapeXml(new Date(entry.usedAt).toLocaleDateString())}</span>
+                    <button class="recent-remove" title="Remove from list">×</button>
+                </li>
+            `).join('')}
+        </ul>
+    `;
 
-        updateProgress(100, 'Done!');
+    panel.querySelectorAll('.recent-project').forEach(item => {
+        const entry = entries.find(e => e.id === item.dataset.id);
+        item.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (e.target.closest('.recent-remove')) removeRecentProject(entry.id);
+            else openRecentProject(entry);
+        });
+    });
+}
 
-        hasUnsavedChanges = false;
-        updateTitle(currentProjectHandle.name);
-        setTimeout(hideProgressModal, 500);
+// ============================================
+// Linked Images
+// ============================================
+
+// Linked images are saved as a path relative to the source folder (a
+// directory handle) plus their content hash, instead of being copied into
+// the archive. The folder is remembered per project name, and remembered
+// again under the new name when the project is saved.
+let linkRoot = null;
 
+function getImageLinkSource(node) {
+    return imageSources.get(node.getAttr('originalImage') || node.image()) || null;
+}
+
+async function chooseLinkRoot() {
+    try {
+        linkRoot = await window.showDirectoryPicker({ id: 'links', mode: 'read', startIn: linkRoot || undefined });
     } catch (err) {
-        hideProgressModal();
-        console.error('Error saving project:', err);
-        alert('Failed to save project: ' + err.message);
+        if (err.name !== 'AbortError') console.error('Error choosing source folder:', err);
+        return null;
     }
+    await rememberLinkRoot();
+    return linkRoot;
 }
 
-async function saveProjectAs() {
-    const oldHandle = currentProjectHandle;
-    currentProjectHandle = null; // Force picker
-    await saveProject();
-    // If user cancelled the picker, saveProject returned early without setting a handle
-    if (!currentProjectHandle) {
-        currentProjectHandle = oldHandle;
+// Remember the source folder for the project's current name, which is the
+// name it will be opened by
+async function rememberLinkRoot() {
+    if (!linkRoot) return;
+    try {
+        await dbRequest('folders', 'readwrite', store => store.put(linkRoot, currentProjectName));
+    } catch (err) {
+        console.warn('Could not remember source folder:', err);
     }
 }
 
-async function deserializeStateFromZip(file) {
-    const zip = await JSZip.loadAsync(file);
-    const projectFile = zip.file('project.json');
+// Path of a file inside the source folder, or null when it is outside
+async function getLinkPath(fileHandle) {
+    const parts = linkRoot && await linkRoot.resolve(fileHandle);
+    return parts ? parts.join('/') : null;
+}
 
-    if (!projectFile) {
-        throw new Error('Invalid .montage file: missing project.json');
+// Add images from the source folder as linked
+async function addLinkedImages() {
+    if (!linkRoot && !await chooseLinkRoot()) return;
+
+    let handles;
+    try {
+        handles = await window.showOpenFilePicker({
+            id: 'links',
+            startIn: linkRoot,
+            multiple: true,
+            types: [{
+                description: 'Images',
+                accept: { 'image/*': ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.bmp', '.avif'] }
+            }]
+        });
+    } catch (err) {
+        if (err.name !== 'AbortError') console.error('Error picking images:', err);
+        return;
     }
 
-    const projectData = JSON.parse(await projectFile.async('string'));
-    const imgFolder = zip.folder('images');
-    const totalImages = projectData.images.length;
+    const files = [];
+    const paths = [];
+    const outside = [];
+    for (const handle of handles) {
+        const path = await getLinkPath(handle);
+        if (!path) outside.push(handle.name);
+        files.push(await handle.getFile());
+        paths.push(path);
+    }
+    if (outside.length > 0) {
+        alert(`These files are outside the source folder "${linkRoot.name}", so they were embedded instead:\n${outside.join('\n')}`);
+    }
+    await handleFiles(files, [], paths);
+}
 
-    const state = {
-        version: 2,
-        images: []
-    };
+// Link one image to its file in the source folder. The file must have the
+// same content as the image.
+async function linkImage(node) {
+    const source = getImageLinkSource(node);
+    if (!source) {
+        alert('Only images added from a file can be linked.');
+        return;
+    }
+    if (!linkRoot && !await chooseLinkRoot()) return;
 
-    for (let i = 0; i < totalImages; i++) {
-        const imgData = projectData.images[i];
+    let handle;
+    try {
+        [handle] = await window.showOpenFilePicker({ id: 'links', startIn: linkRoot });
+    } catch (err) {
+        if (err.name !== 'AbortError') console.error('Error picking file:', err);
+        return;
+    }
 
-        updateProgress(
-            20 + Math.round((i / totalImages) * 75),
-            `Loading image ${i + 1} of ${totalImages}...`
-        );
+    const path = await getLinkPath(handle);
+    if (!path) {
+        alert(`${handle.name} is outside the source folder "${linkRoot.name}".`);
+        return;
+    }
+    const fileHash = await getImageSourceHash({ blob: await handle.getFile() });
+    if (fileHash !== await getImageSourceHash(source)) {
+        alert(`${handle.name} is not the same image as ${node.name()}.`);
+        return;
+    }
+    pushUndo();
+    source.link = { path };
+}
 
-        const imgFile = imgFolder.file(imgData.filename);
-        if (!imgFile) {
-            console.warn(`Missing image: ${imgData.filename}`);
-            continue;
+function embedImage(node) {
+    const source = getImageLinkSource(node);
+    if (!source || !source.link) return;
+    pushUndo();
+    delete source.link;
+}
+
+// Make the project self-contained: every image is saved inside the archive
+function embedAllImages() {
+    const linked = new Set(getAllImages().map(getImageLinkSource).filter(source => source && source.link));
+    if (linked.size === 0) {
+        alert('No images are linked.');
+        return;
+    }
+    pushUndo();
+    linked.forEach(source => delete source.link);
+    alert(`${linked.size} linked image${linked.size === 1 ? ' is' : 's are'} now embedded. Save to write them into the project.`);
+}
+
+// Look up a path in a directory handle; null when any part is missing
+async function resolveLinkPath(root, path) {
+    const parts = path.split('/');
+    try {
+        let dir = root;
+        for (const part of parts.slice(0, -1)) dir = await dir.getDirectoryHandle(part);
+        return await dir.getFileHandle(parts[parts.length - 1]);
+    } catch (err) {
+        if (err.name === 'NotFoundError' || err.name === 'TypeMismatchError') return null;
+        throw err;
+    }
+}
+
+// Find linked assets while loading a project: in the remembered source
+// folder first, then through the relink dialog for anything still missing.
+// A remembered folder that needs permission again is offered in the dialog,
+// since asking needs a click. Files whose content changed since the save are
+// used, with a warning.
+async function resolveLinkedAssets(assets, report, projectName) {
+    const found = new Map();
+
+    let remembered = null;
+    if (!linkRoot) {
+        try {
+            remembered = await dbRequest('folders', 'readonly', store => store.get(projectName)) || null;
+            if (remembered && await remembered.queryPermission({ mode: 'read' }) === 'granted') {
+                linkRoot = remembered;
+                remembered = null;
+            }
+        } catch (err) {
+            console.warn('Could not read remembered source folder:', err);
+        }
+    }
+
+    const lookUp = async (asset, file) => {
+        found.set(asset.id, file);
+        if (/^[0-9a-f]{64}$/.test(asset.id) && await getImageSourceHash({ blob: file }) !== asset.id) {
+            report.warnings.push(`Linked file ${asset.path} has changed since the project was saved`);
+        }
+    };
+    const searchRoot = async () => {
+        for (const asset of assets) {
+            if (found.has(asset.id)) continue;
+            const handle = await resolveLinkPath(linkRoot, asset.path);
+            if (handle) await lookUp(asset, await handle.getFile());
         }
+    };
 
-        const imgBlob = await imgFile.async('blob');
-        const imgUrl = URL.createObjectURL(imgBlob);
+    if (linkRoot) await searchRoot();
+    if (found.size < assets.length) {
+        hideProgressModal();
+        await showRelinkDialog(assets, found, searchRoot, lookUp, remembered);
+    }
+    return found;
+}
 
-        const imageRef = await new Promise((resolve, reject) => {
-            const img = new Image();
-            img.onload = () => {
-                URL.revokeObjectURL(imgUrl);
-                resolve(img);
-            };
-            img.onerror = () => {
-                URL.revokeObjectURL(imgUrl);
-                reject(new Error(`Failed to load image: ${imgData.filename}`));
-            };
-            img.src = imgUrl;
-        });
+// List the linked files that couldn't be found, with ways to find them:
+// allow access to the remembered source folder, choose one, or locate a file
+// directly. Resolves when the user continues; anything still missing is left
+// out of the load.
+function showRelinkDialog(assets, found, searchRoot, lookUp, remembered) {
+    hideRelinkDialog();
+
+    return new Promise(resolve => {
+        relinkDialog = document.createElement('div');
+        relinkDialog.className = 'relink-dialog';
+
+        const render = () => {
+            const missing = assets.filter(asset => !found.has(asset.id)).length;
+            relinkDialog.innerHTML = `
+                <h3>Linked images</h3>
+                <p>${missing === 0 ? 'All linked images were found.' :
+                    `${missing} of ${assets.length} linked image${assets.length === 1 ? '' : 's'} could not be found${linkRoot ? ` in "${escapeXml(linkRoot.name)}"` : ''}.`}</p>
+                <ul class="relink-list">
+                    ${assets.map((asset, i) => `
+                        <li class="${found.has(asset.id) ? 'found' : 'missing'}">
+                            <span>${escapeXml(asset.path)}</span>
+                            ${found.has(asset.id) ? '<span>Found</span>' : `<button data-action="locate" data-index="${i}">Locate…</button>`}
+                        </li>
+                    `).join('')}
+                </ul>
+                <div class="export-dialog-buttons">
+                    ${remembered && !linkRoot ? `<button data-action="allow">Allow Access to "${escapeXml(remembered.name)}"</button>` : ''}
+                    <button data-action="folder">Choose Source Folder…</button>
+                    <button data-action="continue" class="btn-primary">${missing === 0 ? 'Continue' : 'Continue Without Them'}</button>
+                </div>
+            `;
+            relinkDialog.querySelector('[data-action="continue"]').focus();
+        };
+
+        const locate = async (asset) => {
+            let handle;
+            try {
+                [handle] = await window.showOpenFilePicker({ id: 'links', startIn: linkRoot || undefined });
+            } catch (err) {
+                if (err.name !== 'AbortError') console.error('Error locating file:', err);
+                return;
+            }
+            await lookUp(asset, await handle.getFile());
+            // Keep the link when the file is in the source folder; otherwise
+            // the image will be embedded on the next save
+            asset.path = await getLinkPath(handle) || undefined;
+        };
 
-        state.images.push({
-            id: imgData.id || generateImageId(), // Generate new ID if not present (v1 files)
-            imageRef: imageRef,
-            originalWidth: imgData.originalWidth || imageRef.width,
-            originalHeight: imgData.originalHeight || imageRef.height,
-            x: imgData.x,
-            y: imgData.y,
-            scaleX: imgData.scaleX,
-            scaleY: imgData.scaleY,
-            rotation: imgData.rotation,
-            cropBounds: imgData.cropBounds || { top: 0, right: 0, bottom: 0, left: 0 },
-            blendMode: imgData.blendMode || 'source-over',
-            opacity: imgData.opacity !== undefined ? imgData.opacity : 1,
-            name: imgData.name || `image-${i}`,
-            zIndex: imgData.zIndex !== undefined ? imgData.zIndex : i
+        relinkDialog.addEventListener('click', async (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            switch (button.dataset.action) {
+                case 'allow':
+                    // Asked first, while the click still counts as a user gesture
+                    try {
+                        if (await remembered.requestPermission({ mode: 'read' }) === 'granted') {
+                            linkRoot = remembered;
+                            await searchRoot();
+                        }
+                    } catch (err) {
+                        console.error('Error requesting folder access:', err);
+                    }
+                    break;
+                case 'folder':
+                    if (await chooseLinkRoot()) await searchRoot();
+                    break;
+                case 'locate':
+                    await locate(assets[button.dataset.index]);
+                    break;
+                case 'continue':
+                    hideRelinkDialog();
+                    resolve();
+                    return;
+            }
+            render();
         });
+
+        render();
+        document.body.appendChild(relinkDialog);
+        relinkDialog.querySelector('[data-action="continue"]').focus();
+    });
+}
+
+function hideRelinkDialog() {
+    if (relinkDialog) {
+        relinkDialog.remove();
+        relinkDialog = null;
     }
+}
+
+// The toolbar menu for other ways to open and save
+function showProjectMenu(x, y) {
+    hideContextMenu();
+
+    contextMenu = document.createElement('div');
+    contextMenu.className = 'context-menu';
+    contextMenu.innerHTML = `
+        <div class="context-menu-item" data-action="saveas">Save As… <span class="shortcut">Ctrl+Shift+S</span></div>
+        <div class="context-menu-separator"></div>
+        <div class="context-menu-item" data-action="openfolder">Open Folder…</div>
+        <div class="context-menu-item" data-action="savefolder">Save as Folder…</div>
+    `;
+    contextMenu.style.left = x + 'px';
+    contextMenu.style.top = y + 'px';
+
+    contextMenu.addEventListener('click', (e) => {
+        const item = e.target.closest('.context-menu-item');
+        if (!item) return;
+
+        switch (item.dataset.action) {
+            case 'saveas': saveProjectAs(); break;
+            case 'openfolder': openProjectFolder(); break;
+            case 'savefolder': saveProjectAsFolder(); break;
+        }
+
+        hideContextMenu();
+    });
+
+    document.body.appendChild(contextMenu);
 
-    return state;
+    setTimeout(() => {
+        document.addEventListener('click', hideContextMenu, { once: true });
+    }, 0);
 }
 
-async function loadProject(file) {
-    showProgressModal('Adding from Project...');
+// The Links toolbar menu
+function showLinksMenu(x, y) {
+    hideContextMenu();
+
+    contextMenu = document.createElement('div');
+    contextMenu.className = 'context-menu';
 
-    try {
-        updateProgress(10, 'Reading archive...');
-        updateProgress(20, 'Loading images...');
+    const linkedCount = new Set(getAllImages().map(getImageLinkSource).filter(source => source && source.link)).size;
+    contextMenu.innerHTML = `
+        <div class="context-menu-label">Source folder: ${linkRoot ? escapeXml(linkRoot.name) : 'none'}</div>
+        <div class="context-menu-item" data-action="folder">Choose Source Folder…</div>
+        <div class="context-menu-item" data-action="add">Add Linked Images…</div>
+        <div class="context-menu-separator"></div>
+        <div class="context-menu-item" data-action="embedall">Embed All (${linkedCount} linked)</div>
+    `;
+    contextMenu.style.left = x + 'px';
+    contextMenu.style.top = y + 'px';
 
-        const loadedState = await deserializeStateFromZip(file);
+    contextMenu.addEventListener('click', (e) => {
+        const item = e.target.closest('.context-menu-item');
+        if (!item) return;
 
-        // Calculate offset to center loaded images in current viewport
-        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-        for (const imgState of loadedState.images) {
-            minX = Math.min(minX, imgState.x);
-            minY = Math.min(minY, imgState.y);
-            maxX = Math.max(maxX, imgState.x);
-            maxY = Math.max(maxY, imgState.y);
+        switch (item.dataset.action) {
+            case 'folder': chooseLinkRoot(); break;
+            case 'add': addLinkedImages(); break;
+            case 'embedall': embedAllImages(); break;
         }
-        const savedCenterX = (minX + maxX) / 2;
-        const savedCenterY = (minY + maxY) / 2;
 
-        const center = getViewportCenter();
-        const offsetX = center.x - savedCenterX;
-        const offsetY = center.y - savedCenterY;
-
-        // Offset images to viewport center and assign new IDs
-        loadedState.images.forEach(imgState => {
-            imgState.x += offsetX;
-            imgState.y += offsetY;
-            imgState.id = generateImageId(); // Always assign new ID on load
-        });
+        hideContextMenu();
+    });
 
-        // Push undo before merging
-        pushUndo();
+    document.body.appendChild(contextMenu);
 
-        // Merge with current state - add loaded images to canvas
-        const currentState = captureState();
-        const maxCurrentZIndex = currentState.images.length > 0
-            ? Math.max(...currentState.images.map(img => img.zIndex))
-            : -1;
+    setTimeout(() => {
+        document.addEventListener('click', hideContextMenu, { once: true });
+    }, 0);
+}
 
-        // Adjust zIndex of loaded images to be above current images
-        loadedState.images.forEach((imgState, i) => {
-            imgState.zIndex = maxCurrentZIndex + 1 + i;
-        });
+// ============================================
+// Scripting API (window.montage)
+// ============================================
 
-        // Merge states
-        const mergedState = {
-            version: 2,
-            images: [...currentState.images, ...loadedState.images]
-        };
+// Turn renderComposite() options into export settings, starting from the
+// defaults rather than whatever was last picked in the export dialog.
+function resolveRenderOptions(options = {}) {
+    const settings = { ...exportDefaults, metadataSource: 'auto' };
+
+    if (options.format) {
+        const wanted = options.format.toLowerCase().replace(/^\./, '');
+        const format = exportFormats.find(f =>
+            f.type === wanted || f.extensions.includes('.' + wanted) || f.label.toLowerCase() === wanted);
+        if (!format) throw new Error(`Unknown export format: ${options.format}`);
+        if (!isExportFormatSupported(format.type)) throw new Error(`This browser can't encode ${format.label}`);
+        settings.format = format.type;
+    }
+    if (options.quality !== undefined) settings.quality = options.quality;
 
-        restoreState(mergedState);
-        imageCount += loadedState.images.length;
+    if (options.background && options.background !== 'transparent') {
+        settings.transparent = false;
+        settings.background = options.background;
+    }
 
-        updateProgress(100, 'Done!');
-        setTimeout(hideProgressModal, 500);
+    if (options.crop) {
+        if (!['none', 'geometric', 'alpha'].includes(options.crop)) throw new Error(`Unknown crop mode: ${options.crop}`);
+        settings.trim = options.crop;
+    }
 
-    } catch (err) {
-        hideProgressModal();
-        console.error('Error loading project:', err);
-        alert('Failed to load project: ' + err.message);
+    if (options.longEdge) {
+        settings.sizeMode = 'long-edge';
+        settings.longEdge = options.longEdge;
+    } else if (options.width && options.height) {
+        settings.sizeMode = 'exact';
+        settings.width = options.width;
+        settings.height = options.height;
+    } else if (options.scale) {
+        settings.scale = options.scale;
     }
+
+    if (options.includeGps === false) settings.includeGps = false;
+    return settings;
 }
 
+// Render and save are separate so scripts (batch-export.js) can take the
+// encoded image without a save picker:
+//
+//   montage.renderComposite(options) → Promise<Blob>
+//     format      'jpeg' | 'png' | 'webp' | 'avif' | 'ora' | 'psd' (or a MIME type); default 'jpeg'
+//     quality     0–1 for lossy formats; default 0.9
+//     scale       multiplier on native resolution (which doesn't depend on
+//                 the zoom); default 1
+//     longEdge    output size of the long edge in px (instead of scale)
+//     width, height  exact output size in px; content is letterboxed
+//     background  CSS color, or 'transparent' for formats with alpha;
+//                 default transparent for formats with alpha, otherwise
+//                 the light/dark canvas background
+//     crop        'none' | 'geometric' | 'alpha'; default 'geometric'
+//                 (ignored when an artboard is set)
+//     includeGps  false strips GPS from the metadata
+//
+//   montage.loadProject(file, { replace }) → Promise<report>
+//     Loads a .montage archive (File, Blob or ArrayBuffer), a project folder
+//     (FileSystemDirectoryHandle), or a project folder's files as an object
+//     mapping paths ('project.json', 'images/<hash>.jpg') to Blobs,
+//     ArrayBuffers or strings. With replace the project is opened as the
+//     document (as File > Open), with its saved view and a fresh undo
+//     history; otherwise it is placed on top of the current images. Rejects
+//     if the project can't be read. Resolves with the load
+//     report: { missingAssets, corrections, unknownKeys, warnings }, each a
+//     list of messages. Layers with missing images are left out; linked
+//     images aren't looked up, so they are reported missing.
+window.montage = {
+    async renderComposite(options = {}) {
+        // The size mustn't depend on how far the project was zoomed in
+        return renderExport(prepareExport(getAllImages(), resolveRenderOptions(options), { ignoreView: true }));
+    },
+
+    async loadProject(file, { replace = false } = {}) {
+        showProgressModal(replace ? 'Opening Project...' : 'Adding from Project...');
+        try {
+            return await readProjectIntoCanvas(file, { open: replace });
+        } finally {
+            hideProgressModal();
+        }
+    }
+};
+
 // ============================================
 // Event Listeners
 // ============================================
 
 // Stage events
+// Export Region marquee
+stage.on('mousedown touchstart', () => {
+    if (!regionSelect) return;
+    const pos = stage.getRelativePointerPosition();
+    regionSelect.start = pos;
+    regionSelect.rect = new Konva.Rect({
+        x: pos.x,
+        y: pos.y,
+        width: 0,
+        height: 0,
+        stroke: HANDLE_COLOR,
+        strokeWidth: 1,
+        strokeScaleEnabled: false,
+        fill: 'rgba(66, 133, 244, 0.15)',
+        listening: false
+    });
+    artboardLayer.add(regionSelect.rect);
+});
+
+stage.on('mousemove touchmove', () => {
+    if (!regionSelect || !regionSelect.rect) return;
+    const pos = stage.getRelativePointerPosition();
+    const start = regionSelect.start;
+    regionSelect.rect.setAttrs({
+        x: Math.min(start.x, pos.x),
+        y: Math.min(start.y, pos.y),
+        width: Math.abs(pos.x - start.x),
+        height: Math.abs(pos.y - start.y)
+    });
+    artboardLayer.batchDraw();
+});
+
+stage.on('mouseup touchend', () => {
+    if (!regionSelect || !regionSelect.rect) return;
+    finishRegionSelect();
+});
+
+stage.on('mousedown touchstart', (e) => {
+    if (e.target !== artboard && e.target.getParent() !== artboardTransformer) {
+        deselectArtboard();
+    }
+});
+
 stage.on('click tap', (e) => {
     if (e.target === stage) {
         transformer.nodes([]);
@@ -1610,7 +3919,7 @@ stage.on('wheel', (e) => {
     const direction = e.evt.deltaY > 0 ? -1 : 1;
     const scaleBy = 1.1;
     let newScale = direction > 0 ? oldScale * scaleBy : oldScale / scaleBy;
-    newScale = Math.max(0.1, Math.min(10, newScale));
+    newScale = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, newScale));
 
     stage.scale({ x: newScale, y: newScale });
 
@@ -1637,6 +3946,10 @@ transformer.on('transformstart', () => {
 transformer.on('transform', updateCropHandles);
 transformer.on('transformend', updateCropHandles);
 
+artboardTransformer.on('transformstart', () => {
+    pushUndo();
+});
+
 // Button handlers
 addBtn.addEventListener('click', async () => {
     try {
@@ -1655,15 +3968,9 @@ addBtn.addEventListener('click', async () => {
         });
         const files = [];
         for (const handle of handles) {
-            const file = await handle.getFile();
-            // If a .montage file is opened, store its handle for re-saving
-            if (isMontageFile(file) && handles.length === 1) {
-                currentProjectHandle = handle;
-                updateTitle(file.name);
-            }
-            files.push(file);
+            files.push(await handle.getFile());
         }
-        await handleFiles(files);
+        await handleFiles(files, handles);
     } catch (err) {
         if (err.name !== 'AbortError') {
             console.error('Error opening files:', err);
@@ -1686,9 +3993,11 @@ function clearCanvas() {
     const images = imageLayer.children.filter(child => child instanceof Konva.Image);
     images.forEach(img => img.destroy());
 
-    // Clear selection and crop handles
+    // Clear selection, crop handles and artboard
     transformer.nodes([]);
     removeCropHandles();
+    destroyArtboard();
+    artboardLayer.batchDraw();
 
     // Clear undo/redo stacks
     undoStack.length = 0;
@@ -1696,14 +4005,16 @@ function clearCanvas() {
 
     // Reset unsaved changes flag
     hasUnsavedChanges = false;
+    clearAutosave();
 
     // Reset project handle and title
     currentProjectHandle = null;
     currentProjectName = 'project.montage';
+    projectCreatedAt = null;
     updateTitle();
 
     // Show drop zone
-    dropZone.classList.add('empty');
+    updateDropZoneVisibility();
 
     imageLayer.batchDraw();
 }
@@ -1717,8 +4028,24 @@ document.getElementById('totop-btn').addEventListener('click', bringToTop);
 document.getElementById('tobottom-btn').addEventListener('click', sendToBottom);
 document.getElementById('blend-btn').addEventListener('click', cycleBlendMode);
 document.getElementById('bg-btn').addEventListener('click', toggleBackground);
-document.getElementById('save-btn').addEventListener('click', exportCanvas);
+document.getElementById('artboard-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    const rect = e.currentTarget.getBoundingClientRect();
+    showArtboardMenu(rect.left, rect.bottom + 4);
+});
+document.getElementById('links-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    const rect = e.currentTarget.getBoundingClientRect();
+    showLinksMenu(rect.left, rect.bottom + 4);
+});
+document.getElementById('save-btn').addEventListener('click', () => exportCanvas());
+document.getElementById('open-project-btn').addEventListener('click', openProject);
 document.getElementById('save-project-btn').addEventListener('click', saveProject);
+document.getElementById('project-menu-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    const rect = e.currentTarget.getBoundingClientRect();
+    showProjectMenu(rect.left, rect.bottom + 4);
+});
 document.getElementById('clear-btn').addEventListener('click', clearCanvas);
 
 // Prevent default context menu on canvas
@@ -1761,6 +4088,17 @@ window.addEventListener('beforeunload', (e) => {
 
 // Keyboard shortcuts
 document.addEventListener('keydown', (e) => {
+    // Dialogs handle their own keys
+    if (exportDialog || loadReportDialog || recoveryDialog || relinkDialog) return;
+
+    if (regionSelect) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            endRegionSelect();
+        }
+        return;
+    }
+
     // Undo: Ctrl+Z
     if (e.key === 'z' && (e.ctrlKey || e.metaKey) && !e.shiftKey) {
         e.preventDefault();
@@ -1789,6 +4127,11 @@ document.addEventListener('keydown', (e) => {
         saveProject();
         return;
     }
+    if ((e.key === 'o' || e.key === 'O') && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        openProject();
+        return;
+    }
     if (e.key === 'e' || e.key === 'E') {
         e.preventDefault();
         exportCanvas();
@@ -1891,3 +4234,6 @@ document.addEventListener('keydown', (e) => {
     e.preventDefault();
     imageLayer.batchDraw();
 });
+
+renderRecentProjects();
+offerRecovery();
@@ -1,11 +1,13 @@
 #!/usr/bin/env node
-// Batch-export .montage files to JPGs using Playwright + Edge
-// Usage: node batch-export.js ./input-dir/ ./output-dir/
+// Batch-export .montage files and project folders using Playwright and a
+// headless browser (Edge, Chrome, Chromium or Firefox)
+// Usage: node batch-export.js [options] ./input-dir/ ./output-dir/
 
-const { chromium } = require('playwright');
+const { chromium, firefox } = require('playwright');
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
 
 const MIME_TYPES = {
     '.html': 'text/html', '.js': 'text/javascript', '.css': 'text/css',
@@ -13,20 +15,397 @@ const MIME_TYPES = {
     '.webmanifest': 'application/manifest+json',
 };
 
-async function main() {
-    const [inputDir, outputDir] = process.argv.slice(2);
-    if (!inputDir || !outputDir) {
-        console.error('Usage: node batch-export.js <input-dir> <output-dir>');
-        process.exit(1);
+// The CDN scripts index.html loads, served from node_modules instead so the
+// page loads without network access
+const LOCAL_SCRIPTS = {
+    'https://unpkg.com/konva@9/konva.min.js': 'konva/konva.min.js',
+    'https://cdn.jsdelivr.net/npm/heic-to@1/dist/iife/heic-to.js': 'heic-to/dist/iife/heic-to.js',
+    'https://cdn.jsdelivr.net/npm/jszip@3/dist/jszip.min.js': 'jszip/dist/jszip.min.js',
+};
+
+// Browsers for --browser, in the order they're tried when the chosen one
+// can't be launched
+const BROWSERS = {
+    msedge: () => chromium.launch({ channel: 'msedge' }),
+    chrome: () => chromium.launch({ channel: 'chrome' }),
+    chromium: () => chromium.launch(),
+    firefox: () => firefox.launch(),
+};
+
+// Output extension for each --format
+const FORMAT_EXTENSIONS = {
+    jpeg: '.jpg', png: '.png', webp: '.webp', avif: '.avif', ora: '.ora', psd: '.psd',
+};
+
+// Exit codes: 0 every project exported (or skipped), 1 bad arguments or the
+// batch couldn't run, 2 some projects failed, 3 every project failed (also
+// when no browser could be launched)
+const EXIT_PARTIAL_FAILURE = 2;
+const EXIT_TOTAL_FAILURE = 3;
+
+const USAGE = `Usage: node batch-export.js [options] <input-dir> <output-dir>
+
+Options:
+  --format <type>       jpeg, png, webp, avif, ora or psd (default: jpeg)
+  --quality <0-1>       quality for lossy formats (default: 0.9)
+  --scale <n>           multiplier on native resolution
+  --long-edge <px>      fit the long edge to this many pixels
+  --recursive           also search subdirectories, mirroring them in the output
+  --glob <pattern>      only export projects whose path (relative to the input
+                        directory) matches; without a "/" the name is matched
+  --concurrency <n>     number of projects exported in parallel (default: 1)
+  --skip-unchanged      skip projects whose output is newer than the project
+  --timeout <seconds>   give up on a project after this long (default: 300)
+  --report <file>       where to write the JSON report
+                        (default: <output-dir>/batch-report.json)
+  --browser <name>      msedge, chrome, chromium or firefox; falls back to
+                        another installed browser (default: the first found)
+  -h, --help            show this help
+
+Exit codes: 0 all exported, 2 some projects failed, 3 all failed (or no browser launched), 1 other errors`;
+
+function fail(message) {
+    console.error(message);
+    console.error(`\n${USAGE}`);
+    process.exit(1);
+}
+
+function parseOptions(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                format: { type: 'string', default: 'jpeg' },
+                quality: { type: 'string', default: '0.9' },
+                scale: { type: 'string' },
+                'long-edge': { type: 'string' },
+                recursive: { type: 'boolean', default: false },
+                glob: { type: 'string' },
+                concurrency: { type: 'string', default: '1' },
+                'skip-unchanged': { type: 'boolean', default: false },
+                timeout: { type: 'string', default: '300' },
+                report: { type: 'string' },
+                browser: { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false },
+            },
+        });
+    } catch (err) {
+        fail(err.message);
+    }
+    const { values, positionals } = parsed;
+
+    if (values.help) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+    if (positionals.length !== 2) fail('Expected an input and an output directory');
+
+    const format = values.format.toLowerCase() === 'jpg' ? 'jpeg' : values.format.toLowerCase();
+    if (!FORMAT_EXTENSIONS[format]) fail(`Unknown format: ${values.format}`);
+
+    const quality = Number(values.quality);
+    if (!(quality > 0 && quality <= 1)) fail(`--quality must be between 0 and 1, got ${values.quality}`);
+
+    if (values.scale !== undefined && values['long-edge'] !== undefined) {
+        fail('--scale and --long-edge can\'t be used together');
+    }
+    const scale = values.scale === undefined ? undefined : Number(values.scale);
+    if (scale !== undefined && !(scale > 0)) fail(`--scale must be a positive number, got ${values.scale}`);
+    const longEdge = values['long-edge'] === undefined ? undefined : Number(values['long-edge']);
+    if (longEdge !== undefined && !(Number.isInteger(longEdge) && longEdge > 0)) {
+        fail(`--long-edge must be a positive whole number of pixels, got ${values['long-edge']}`);
+    }
+
+    const concurrency = Number(values.concurrency);
+    if (!(Number.isInteger(concurrency) && concurrency > 0)) {
+        fail(`--concurrency must be a positive whole number, got ${values.concurrency}`);
+    }
+
+    const timeout = Number(values.timeout);
+    if (!(timeout > 0)) fail(`--timeout must be a positive number of seconds, got ${values.timeout}`);
+
+    const browser = values.browser === undefined ? null : values.browser.toLowerCase();
+    if (browser !== null && !BROWSERS[browser]) fail(`Unknown browser: ${values.browser}`);
+
+    return {
+        inputDir: positionals[0],
+        outputDir: positionals[1],
+        render: { format, quality, scale, longEdge },
+        recursive: values.recursive,
+        glob: values.glob === undefined ? null : globToRegExp(values.glob),
+        matchName: values.glob !== undefined && !values.glob.includes('/'),
+        concurrency,
+        skipUnchanged: values['skip-unchanged'],
+        timeout: timeout * 1000,
+        browser,
+        reportPath: values.report || path.join(positionals[1], 'batch-report.json'),
+    };
+}
+
+// * and ? match within one directory; ** matches across directories
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*' && glob[i + 1] === '*') {
+            i++;
+            if (glob[i + 1] === '/') {
+                i++;
+                source += '(?:.*/)?';
+            } else {
+                source += '.*';
+            }
+        } else if (c === '*') {
+            source += '[^/]*';
+        } else if (c === '?') {
+            source += '[^/]';
+        } else {
+            source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+// A project folder holds project.json and its images/
+function isProjectFolder(dir) {
+    return fs.existsSync(path.join(dir, 'project.json'));
+}
+
+// Projects (.montage files and project folders) in inputDir, as paths
+// relative to it. Project folders aren't searched inside.
+function findProjects(inputDir, recursive, dir = '') {
+    const projects = [];
+    const entries = fs.readdirSync(path.join(inputDir, dir), { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+        const relPath = path.join(dir, entry.name);
+        if (entry.isFile() && entry.name.endsWith('.montage')) {
+            projects.push(relPath);
+        } else if (entry.isDirectory()) {
+            if (isProjectFolder(path.join(inputDir, relPath))) projects.push(relPath);
+            else if (recursive) projects.push(...findProjects(inputDir, recursive, relPath));
+        }
+    }
+    return projects;
+}
+
+// A project folder's files by relative path, base64-encoded for the page
+function readProjectFolder(dir) {
+    const files = { 'project.json': fs.readFileSync(path.join(dir, 'project.json')).toString('base64') };
+    if (fs.existsSync(path.join(dir, 'view.json'))) {
+        files['view.json'] = fs.readFileSync(path.join(dir, 'view.json')).toString('base64');
+    }
+    const imagesDir = path.join(dir, 'images');
+    if (fs.existsSync(imagesDir)) {
+        for (const name of fs.readdirSync(imagesDir)) {
+            files[`images/${name}`] = fs.readFileSync(path.join(imagesDir, name)).toString('base64');
+        }
     }
+    return files;
+}
+
+// Last modification of a project: the archive, or the newest file of a folder
+// apart from view.json, which doesn't change the export
+function projectModifiedTime(inputPath) {
+    const stat = fs.statSync(inputPath);
+    if (!stat.isDirectory()) return stat.mtimeMs;
 
-    const files = fs.readdirSync(inputDir).filter(f => f.endsWith('.montage'));
+    let newest = fs.statSync(path.join(inputPath, 'project.json')).mtimeMs;
+    const imagesDir = path.join(inputPath, 'images');
+    if (fs.existsSync(imagesDir)) {
+        for (const name of fs.readdirSync(imagesDir)) {
+            newest = Math.max(newest, fs.statSync(path.join(imagesDir, name)).mtimeMs);
+        }
+    }
+    return newest;
+}
+
+// Load one project into the page, render it and write the output file.
+// Resolves with the output's pixel size (null for layered formats) and the
+// load report's messages.
+async function exportProject(page, inputPath, outPath, renderOptions) {
+    // The .montage file, or the project folder's files
+    const project = fs.statSync(inputPath).isDirectory()
+        ? readProjectFolder(inputPath)
+        : fs.readFileSync(inputPath).toString('base64');
+    const warnings = await page.evaluate(async (project) => {
+        const decode = (b64) => {
+            const binary = atob(b64);
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+            return bytes.buffer;
+        };
+        const data = typeof project === 'string'
+            ? decode(project)
+            : Object.fromEntries(Object.entries(project).map(([name, b64]) => [name, decode(b64)]));
+        const report = await window.montage.loadProject(data, { replace: true });
+        return [...report.missingAssets, ...report.corrections, ...report.unknownKeys, ...report.warnings];
+    }, project);
+
+    const { dataUrl, width, height } = await page.evaluate(async (options) => {
+        const blob = await window.montage.renderComposite(options);
+        let size = { width: null, height: null };
+        try {
+            const bitmap = await createImageBitmap(blob);
+            size = { width: bitmap.width, height: bitmap.height };
+            bitmap.close();
+        } catch {
+            // Layered formats (ORA, PSD) aren't images the browser can decode
+        }
+        const dataUrl = await new Promise(resolve => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.readAsDataURL(blob);
+        });
+        return { dataUrl, ...size };
+    }, renderOptions);
+
+    const base64Data = dataUrl.slice(dataUrl.indexOf(',') + 1);
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, Buffer.from(base64Data, 'base64'));
+    return { width, height, warnings };
+}
+
+// Launch the chosen browser, or the first of BROWSERS that launches. Resolves
+// with the browser and the name of the one used.
+async function launchBrowser(preferred) {
+    const names = [preferred, ...Object.keys(BROWSERS).filter(name => name !== preferred)].filter(Boolean);
+    const errors = [];
+    for (const name of names) {
+        try {
+            const browser = await BROWSERS[name]();
+            if (preferred && name !== preferred) {
+                console.warn(`Couldn't launch ${preferred} (${errors[0]}); using ${name} instead`);
+            }
+            return { browser, name };
+        } catch (err) {
+            errors.push(err.message.split('\n')[0]);
+        }
+    }
+    throw new Error('No browser could be launched. Install one with "npx playwright install chromium".\n'
+        + names.map((name, i) => `  ${name}: ${errors[i]}`).join('\n'));
+}
+
+// Answer requests for the CDN scripts from node_modules. Scripts that aren't
+// installed are still fetched from the network.
+async function serveScriptsLocally(context) {
+    for (const [url, file] of Object.entries(LOCAL_SCRIPTS)) {
+        const filePath = path.join(__dirname, 'node_modules', file);
+        if (!fs.existsSync(filePath)) continue;
+        await context.route(url, route => route.fulfill({ path: filePath, contentType: 'text/javascript' }));
+    }
+}
+
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function writeReport(reportPath, report) {
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2) + '\n');
+    console.log(`Report written to ${reportPath}`);
+}
+
+async function main() {
+    const options = parseOptions(process.argv.slice(2));
+    const { inputDir, outputDir } = options;
+
+    let files = findProjects(inputDir, options.recursive);
+    if (options.glob) {
+        files = files.filter(file => {
+            const subject = options.matchName ? path.basename(file) : file.split(path.sep).join('/');
+            return options.glob.test(subject);
+        });
+    }
     if (files.length === 0) {
-        console.error('No .montage files found in', inputDir);
+        console.error('No .montage files or project folders found in', inputDir);
         process.exit(1);
     }
 
+    // Output paths mirror the input tree
+    const extension = FORMAT_EXTENSIONS[options.render.format];
+    const allJobs = files.map(file => ({
+        file,
+        inputPath: path.join(inputDir, file),
+        outPath: path.join(outputDir, path.dirname(file), path.basename(file, '.montage') + extension),
+    }));
+
+    // One entry per project: status is 'exported', 'skipped' or 'failed'
+    const results = [];
+    const report = {
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        inputDir,
+        outputDir,
+        options: options.render,
+        browser: null,
+        summary: null,
+        projects: results,
+    };
+
+    let jobs = allJobs;
+    if (options.skipUnchanged) {
+        jobs = [];
+        for (const job of allJobs) {
+            try {
+                if (fs.existsSync(job.outPath) && fs.statSync(job.outPath).mtimeMs >= projectModifiedTime(job.inputPath)) {
+                    results.push({ project: job.file, output: job.outPath, status: 'skipped' });
+                    continue;
+                }
+            } catch {
+                // Unreadable project: let the export report the error
+            }
+            jobs.push(job);
+        }
+        if (jobs.length < allJobs.length) console.log(`Skipping ${allJobs.length - jobs.length} unchanged project(s)`);
+    }
+
     fs.mkdirSync(outputDir, { recursive: true });
+    if (jobs.length > 0) report.browser = await runJobs(jobs, options, results);
+
+    results.sort((a, b) => a.project.localeCompare(b.project));
+    const count = status => results.filter(result => result.status === status).length;
+    report.finishedAt = new Date().toISOString();
+    report.summary = {
+        total: results.length,
+        exported: count('exported'),
+        skipped: count('skipped'),
+        failed: count('failed'),
+    };
+    writeReport(options.reportPath, report);
+
+    const { exported, skipped, failed } = report.summary;
+    console.log(`Done! Exported ${exported}, skipped ${skipped}, failed ${failed}.`);
+    if (failed > 0) process.exitCode = failed === results.length - skipped ? EXIT_TOTAL_FAILURE : EXIT_PARTIAL_FAILURE;
+}
+
+// Export jobs in parallel pages, recording a result for each. A failing
+// project doesn't stop the others. Resolves with the browser used, or null
+// when none could be launched, in which case every job has failed.
+async function runJobs(jobs, options, results) {
+    const missingScripts = Object.values(LOCAL_SCRIPTS)
+        .filter(file => !fs.existsSync(path.join(__dirname, 'node_modules', file)));
+    if (missingScripts.length > 0) {
+        console.warn(`Not installed, so loaded from the network: ${missingScripts.map(file => file.split('/')[0]).join(', ')} (run npm install)`);
+    }
+
+    let browser, name;
+    try {
+        ({ browser, name } = await launchBrowser(options.browser));
+    } catch (err) {
+        console.error(err.message);
+        const error = err.message.split('\n')[0];
+        jobs.forEach(job => results.push({ project: job.file, output: job.outPath, status: 'failed', error, durationMs: 0 }));
+        return null;
+    }
+    const browserName = `${name} ${browser.version()}`;
+    console.log(`Using ${browserName}`);
 
     // Start a local HTTP server to serve the montage app
     const appDir = __dirname;
@@ -48,65 +427,81 @@ async function main() {
     const appUrl = `http://127.0.0.1:${port}`;
     console.log(`Serving app on ${appUrl}`);
 
-    const browser = await chromium.launch({ channel: 'msedge' });
-
-    try {
-        for (let i = 0; i < files.length; i++) {
-            const file = files[i];
-            const baseName = path.basename(file, '.montage');
-            console.log(`[${i + 1}/${files.length}] ${file}`);
-
-            const page = await browser.newPage();
+    // Each worker has its own browser context (so autosave storage isn't
+    // shared) and reuses one page for its projects. After a failure the page
+    // is replaced, since it may have crashed or still be busy. A worker
+    // whose context can't be set up leaves its jobs to the others; jobs no
+    // worker could take fail with that error.
+    let next = 0;
+    let done = 0;
+    let setupError = null;
+    const worker = async () => {
+        let context = null;
+        try {
+            context = await browser.newContext();
+            await serveScriptsLocally(context);
+        } catch (err) {
+            setupError = err;
+            if (context) await context.close().catch(() => {});
+            return;
+        }
+        const openPage = async () => {
+            const page = await context.newPage();
             await page.goto(appUrl, { waitUntil: 'networkidle' });
+            return page;
+        };
+        let page = null;
+        try {
+            while (next < jobs.length) {
+                const job = jobs[next++];
+                const started = Date.now();
+                const result = { project: job.file, output: job.outPath };
+                try {
+                    page = page || await openPage();
+                    const { width, height, warnings } = await withTimeout(
+                        exportProject(page, job.inputPath, job.outPath, options.render),
+                        options.timeout,
+                        `Timed out after ${options.timeout / 1000} s`
+                    );
+                    Object.assign(result, { status: 'exported', width, height, warnings });
+                } catch (err) {
+                    Object.assign(result, { status: 'failed', error: err.message.split('\n')[0] });
+                    if (page) await page.close().catch(() => {});
+                    page = null;
+                }
+                result.durationMs = Date.now() - started;
+                results.push(result);
 
-            // Load the .montage file
-            const montageBytes = fs.readFileSync(path.join(inputDir, file));
-            await page.evaluate(async (b64) => {
-                const binary = atob(b64);
-                const bytes = new Uint8Array(binary.length);
-                for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
-                const blob = new Blob([bytes], { type: 'application/octet-stream' });
-                const f = new File([blob], 'project.montage');
-                await loadProject(f);
-            }, montageBytes.toString('base64'));
-
-            // Wait for progress modal to disappear (loading complete)
-            await page.waitForFunction(() => !document.querySelector('.progress-modal'), { timeout: 60000 });
-
-            // Mock showSaveFilePicker and export
-            const dataUrl = await page.evaluate(async () => {
-                let capturedBlob;
-                window.showSaveFilePicker = async () => ({
-                    createWritable: async () => ({
-                        write: async (blob) => { capturedBlob = blob; },
-                        close: async () => {},
-                    }),
-                });
-                await exportCanvas();
-                return new Promise(resolve => {
-                    const reader = new FileReader();
-                    reader.onload = () => resolve(reader.result);
-                    reader.readAsDataURL(capturedBlob);
-                });
-            });
-
-            // Write the JPG
-            const base64Data = dataUrl.replace(/^data:image\/jpeg;base64,/, '');
-            const outPath = path.join(outputDir, `${baseName}.jpg`);
-            fs.writeFileSync(outPath, Buffer.from(base64Data, 'base64'));
-            console.log(`  → ${outPath}`);
-
-            await page.close();
+                done++;
+                const label = `[${done}/${jobs.length}] ${job.file}`;
+                if (result.status === 'failed') {
+                    console.error(`${label} failed: ${result.error}`);
+                } else {
+                    console.log(`${label} → ${job.outPath}`);
+                    result.warnings.forEach(warning => console.warn(`  warning: ${warning}`));
+                }
+            }
+        } finally {
+            await context.close();
+        }
+    };
+
+    try {
+        await Promise.all(Array.from({ length: Math.min(options.concurrency, jobs.length) }, worker));
+        while (next < jobs.length) {
+            const job = jobs[next++];
+            const error = setupError.message.split('\n')[0];
+            results.push({ project: job.file, output: job.outPath, status: 'failed', error, durationMs: 0 });
+            console.error(`[${++done}/${jobs.length}] ${job.file} failed: ${error}`);
         }
     } finally {
         await browser.close();
         server.close();
     }
-
-    console.log(`Done! Exported ${files.length} file(s).`);
+    return browserName;
 }
 
 main().catch(err => {
-    console.error(err);
+    console.error(err.message);
     process.exit(1);
 });
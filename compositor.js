@@ -0,0 +1,1051 @@
+// Export rendering shared by the page (app.js), the export worker
+// (export-worker.js) and the Node renderer (render.js): the export layout,
+// compositing, the streaming PNG encoder, the OpenRaster and PSD encoders
+// (which use blendModes from project.js) and EXIF/XMP. Nothing here touches
+// the DOM or Konva: layers arrive as plain layer states or descriptors, and
+// any 2D context (canvas, OffscreenCanvas or a Node canvas) can be drawn into.
+//
+// Layer descriptor:
+//   { source, crop: { x, y, width, height }, x, y, width, height,
+//     rotation, flipX, flipY, opacity, blendMode }
+// x/y is the layer's center and width/height its drawn size, both in output
+// pixels; source is anything drawImage accepts (Image, ImageBitmap, ...).
+
+// Slight oversize per image (in export pixels) to avoid sub-pixel gaps
+// at scaled image edges, without cropping the overall bounding box.
+const BLEED = 2;
+
+// Composite layers onto a transparent context so blend modes only interact
+// with other images, not the background. tile is the area of the output
+// ({ x, y, width, height }) that the context covers.
+// With mask set, images are drawn opaque, unblended and without bleed, so the
+// alpha channel shows exactly which pixels are covered. With isolated set,
+// opacity and blend mode are skipped (layered export applies them per layer).
+// onLayer(done, total) is called after each layer is drawn.
+function drawComposite(ctx, layers, tile, { mask = false, isolated = false, onLayer } = {}) {
+    const bleed = mask ? 0 : BLEED;
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, tile.width, tile.height);
+
+    layers.forEach((layer, i) => {
+        const drawWidth = layer.width + bleed;
+        const drawHeight = layer.height + bleed;
+
+        ctx.save();
+        ctx.globalCompositeOperation = mask || isolated ? 'source-over' : layer.blendMode;
+        ctx.globalAlpha = mask || isolated ? 1 : layer.opacity;
+        ctx.translate(layer.x - tile.x, layer.y - tile.y);
+        ctx.rotate(layer.rotation * Math.PI / 180);
+        ctx.scale(layer.flipX ? -1 : 1, layer.flipY ? -1 : 1);
+
+        ctx.drawImage(
+            layer.source,
+            layer.crop.x, layer.crop.y, layer.crop.width, layer.crop.height,
+            -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight
+        );
+
+        ctx.restore();
+        if (onLayer) onLayer(i + 1, layers.length);
+    });
+}
+
+// Paint the background behind the composite, in place
+function flattenCanvas(canvas, background) {
+    const ctx = canvas.getContext('2d');
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalCompositeOperation = 'destination-over';
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.restore();
+}
+
+function abortError() {
+    return new DOMException('Export cancelled', 'AbortError');
+}
+
+// ============================================
+// Export Layout
+// ============================================
+
+// Layout works on layer states in document coordinates, as saved in
+// projects and captured by captureState() in app.js:
+//   { id, imageRef, originalWidth, originalHeight, cropBounds, x, y, scaleX,
+//     scaleY, rotation, opacity, blendMode, name, metadata, zIndex }
+// x/y is the center of the cropped image. Rects and regions are
+// { x, y, width, height } in document coordinates as well, so a layout
+// doesn't depend on the zoom of the view.
+
+// Paper sizes in millimetres (portrait)
+const paperSizes = [
+    { id: 'a3', label: 'A3', width: 297, height: 420 },
+    { id: 'a4', label: 'A4', width: 210, height: 297 },
+    { id: 'a5', label: 'A5', width: 148, height: 210 },
+    { id: 'letter', label: 'US Letter', width: 215.9, height: 279.4 },
+    { id: 'legal', label: 'US Legal', width: 215.9, height: 355.6 }
+];
+
+// The visible part of a layer's image, in source pixels
+function getLayerCrop(layer) {
+    const { cropBounds, originalWidth, originalHeight } = layer;
+    const width = originalWidth - cropBounds.left - cropBounds.right;
+    const height = originalHeight - cropBounds.top - cropBounds.bottom;
+    return width > 0 && height > 0
+        ? { x: cropBounds.left, y: cropBounds.top, width, height }
+        : { x: 0, y: 0, width: originalWidth, height: originalHeight };
+}
+
+// Axis-aligned bounding box of a layer after scaling and rotation
+function getLayerRect(layer) {
+    const crop = getLayerCrop(layer);
+    const halfWidth = crop.width * Math.abs(layer.scaleX) / 2;
+    const halfHeight = crop.height * Math.abs(layer.scaleY) / 2;
+    const angle = layer.rotation * Math.PI / 180;
+    const cos = Math.abs(Math.cos(angle));
+    const sin = Math.abs(Math.sin(angle));
+    const extentX = halfWidth * cos + halfHeight * sin;
+    const extentY = halfWidth * sin + halfHeight * cos;
+    return { x: layer.x - extentX, y: layer.y - extentY, width: extentX * 2, height: extentY * 2 };
+}
+
+// Union of the layers' rects
+function getCompositionBounds(layers) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+    layers.forEach(layer => {
+        const rect = getLayerRect(layer);
+        minX = Math.min(minX, rect.x);
+        minY = Math.min(minY, rect.y);
+        maxX = Math.max(maxX, rect.x + rect.width);
+        maxY = Math.max(maxY, rect.y + rect.height);
+    });
+
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+// Scale export so the lowest-resolution image renders at its native pixels
+// (no image is over-scaled): a layer's native scale is 1 / abs(scale), and
+// the minimum across all layers is the largest scale that avoids upsampling
+// any of them. Never below minScale.
+function getNativeExportScale(layers, minScale = 1) {
+    let exportScale = Infinity;
+    layers.forEach(layer => {
+        exportScale = Math.min(exportScale, 1 / Math.abs(layer.scaleX), 1 / Math.abs(layer.scaleY));
+    });
+    return Math.max(exportScale, minScale);
+}
+
+// Smart crop: trim thin strips where images are nearly but not perfectly
+// aligned.  Uses image geometry (not pixels) so the per-image BLEED used
+// to hide sub-pixel gaps doesn't mask the misalignment.
+// Returns the trimmed rect in export pixels at the given scale.
+function findSmartCrop(layers, bounds, exportScale) {
+    const exportWidth = Math.round(bounds.width * exportScale);
+    const exportHeight = Math.round(bounds.height * exportScale);
+    const MAX_TRIM = Math.max(20, Math.round(Math.max(exportWidth, exportHeight) * 0.01));
+    let cropLeft = 0, cropTop = 0, cropRight = exportWidth, cropBottom = exportHeight;
+
+    // Image rects in export-pixel space (no bleed)
+    const exportRects = layers.map(layer => {
+        const r = getLayerRect(layer);
+        return {
+            x: (r.x - bounds.x) * exportScale,
+            y: (r.y - bounds.y) * exportScale,
+            w: r.width * exportScale,
+            h: r.height * exportScale
+        };
+    });
+
+    // Check if a scan-line is fully covered by image rects.
+    // horizontal=true: row at y, covering x range [lo, hi]
+    // horizontal=false: column at x, covering y range [lo, hi]
+    function scanLineCovered(pos, lo, hi, horizontal) {
+        const intervals = [];
+        for (const r of exportRects) {
+            if (horizontal) {
+                if (pos >= r.y && pos < r.y + r.h) intervals.push([r.x, r.x + r.w]);
+            } else {
+                if (pos >= r.x && pos < r.x + r.w) intervals.push([r.y, r.y + r.h]);
+            }
+        }
+        intervals.sort((a, b) => a[0] - b[0]);
+        let covered = lo;
+        for (const [s, e] of intervals) {
+            if (s > covered + 0.5) return false;
+            covered = Math.max(covered, e);
+            if (covered >= hi - 0.5) return true;
+        }
+        return covered >= hi - 0.5;
+    }
+
+    // Top
+    for (let row = 0; row < MAX_TRIM && row < exportHeight; row++) {
+        if (scanLineCovered(row, 0, exportWidth, true)) { cropTop = row; break; }
+    }
+    // Bottom
+    for (let row = exportHeight - 1; row >= exportHeight - MAX_TRIM && row >= 0; row--) {
+        if (scanLineCovered(row, 0, exportWidth, true)) { cropBottom = row + 1; break; }
+    }
+    // Left (within already-cropped vertical range)
+    for (let col = 0; col < MAX_TRIM && col < exportWidth; col++) {
+        if (scanLineCovered(col, cropTop, cropBottom, false)) { cropLeft = col; break; }
+    }
+    // Right
+    for (let col = exportWidth - 1; col >= exportWidth - MAX_TRIM && col >= 0; col--) {
+        if (scanLineCovered(col, cropTop, cropBottom, false)) { cropRight = col + 1; break; }
+    }
+
+    return {
+        mode: 'geometric',
+        left: cropLeft, top: cropTop, right: cropRight, bottom: cropBottom,
+        exportWidth, exportHeight, threshold: MAX_TRIM
+    };
+}
+
+// Coverage crop: the largest rectangle in which every pixel is fully covered
+// by some image. Works from rendered alpha, so transparent PNG areas and
+// images at odd angles are handled. The mask is rendered at native export
+// resolution up to MAX_MASK_PIXELS and scaled down beyond that, in which case
+// the result is rounded inward so it never includes an uncovered pixel.
+// createCanvas(width, height) makes the canvas the mask is drawn on.
+const MAX_MASK_PIXELS = 8000000;
+const coverageCropCache = { key: null, result: null };
+
+function findCoverageCrop(layers, bounds, exportScale, createCanvas) {
+    const exportWidth = Math.round(bounds.width * exportScale);
+    const exportHeight = Math.round(bounds.height * exportScale);
+
+    // Only re-render the mask when the composition has changed
+    const key = JSON.stringify([exportScale, layers.map(layer => [
+        layer.id, getLayerRect(layer), getLayerCrop(layer), layer.scaleX, layer.scaleY, layer.rotation
+    ])]);
+    if (coverageCropCache.key === key) return coverageCropCache.result;
+
+    const maskScale = Math.min(exportScale, Math.sqrt(MAX_MASK_PIXELS / (bounds.width * bounds.height)));
+    const maskLayout = {
+        region: bounds,
+        scale: maskScale,
+        outputWidth: Math.max(1, Math.round(bounds.width * maskScale)),
+        outputHeight: Math.max(1, Math.round(bounds.height * maskScale)),
+        offsetX: 0,
+        offsetY: 0
+    };
+    const { outputWidth: w, outputHeight: h } = maskLayout;
+    const maskCanvas = createCanvas(w, h);
+    const maskContext = maskCanvas.getContext('2d');
+    drawComposite(maskContext, getLayerDescriptors(layers, maskLayout), { x: 0, y: 0, width: w, height: h }, { mask: true });
+    const alpha = maskContext.getImageData(0, 0, w, h).data;
+
+    // Largest all-covered rectangle: per row, treat the run of covered
+    // pixels above each column as a histogram and find its largest rectangle.
+    const heights = new Int32Array(w + 1);
+    const stack = new Int32Array(w + 1);
+    let best = { area: 0, left: 0, top: 0, right: 0, bottom: 0 };
+
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            heights[x] = alpha[(y * w + x) * 4 + 3] >= 250 ? heights[x] + 1 : 0;
+        }
+        let depth = 0;
+        for (let x = 0; x <= w; x++) {
+            while (depth > 0 && heights[stack[depth - 1]] >= heights[x]) {
+                const height = heights[stack[--depth]];
+                const left = depth > 0 ? stack[depth - 1] + 1 : 0;
+                const area = height * (x - left);
+                if (area > best.area) {
+                    best = { area, left, top: y - height + 1, right: x, bottom: y + 1 };
+                }
+            }
+            stack[depth++] = x;
+        }
+    }
+
+    maskCanvas.width = 0;
+    maskCanvas.height = 0;
+
+    const ratio = exportScale / maskScale;
+    const result = best.area === 0
+        ? { mode: 'alpha', left: 0, top: 0, right: exportWidth, bottom: exportHeight, exportWidth, exportHeight }
+        : {
+            mode: 'alpha',
+            left: Math.min(exportWidth, Math.ceil(best.left * ratio)),
+            top: Math.min(exportHeight, Math.ceil(best.top * ratio)),
+            right: Math.max(0, Math.min(exportWidth, Math.floor(best.right * ratio))),
+            bottom: Math.max(0, Math.min(exportHeight, Math.floor(best.bottom * ratio))),
+            exportWidth,
+            exportHeight
+        };
+
+    coverageCropCache.key = key;
+    coverageCropCache.result = result;
+    return result;
+}
+
+// Trim the composition bounds according to the trim mode:
+// 'none', 'geometric' (smart crop) or 'alpha' (coverage crop).
+function findTrim(layers, bounds, exportScale, mode, createCanvas) {
+    switch (mode) {
+        case 'none': {
+            const exportWidth = Math.round(bounds.width * exportScale);
+            const exportHeight = Math.round(bounds.height * exportScale);
+            return { mode, left: 0, top: 0, right: exportWidth, bottom: exportHeight, exportWidth, exportHeight };
+        }
+        case 'alpha':
+            return findCoverageCrop(layers, bounds, exportScale, createCanvas);
+        default:
+            return findSmartCrop(layers, bounds, exportScale);
+    }
+}
+
+// Work out the output size for a content area of width x height document
+// pixels. Returns the scale from document pixels to output pixels, the output canvas size
+// and where the content sits inside it (fixed sizes letterbox the content).
+function resolveExportSize(width, height, nativeScale, settings) {
+    let targetWidth, targetHeight;
+
+    switch (settings.sizeMode) {
+        case 'long-edge': {
+            const scale = settings.longEdge / Math.max(width, height);
+            return {
+                scale,
+                outputWidth: Math.max(1, Math.round(width * scale)),
+                outputHeight: Math.max(1, Math.round(height * scale)),
+                offsetX: 0,
+                offsetY: 0
+            };
+        }
+        case 'exact':
+            targetWidth = settings.width;
+            targetHeight = settings.height;
+            break;
+        case 'print': {
+            const paper = paperSizes.find(p => p.id === settings.paper) || paperSizes[0];
+            const shortEdge = Math.round(Math.min(paper.width, paper.height) / 25.4 * settings.dpi);
+            const longEdge = Math.round(Math.max(paper.width, paper.height) / 25.4 * settings.dpi);
+            // Match the paper orientation to the composition
+            targetWidth = width > height ? longEdge : shortEdge;
+            targetHeight = width > height ? shortEdge : longEdge;
+            break;
+        }
+        default: {
+            const scale = nativeScale * (settings.scale || 1);
+            return {
+                scale,
+                outputWidth: Math.max(1, Math.round(width * scale)),
+                outputHeight: Math.max(1, Math.round(height * scale)),
+                offsetX: 0,
+                offsetY: 0
+            };
+        }
+    }
+
+    // Fit the content inside the target and center it
+    const scale = Math.min(targetWidth / width, targetHeight / height);
+    return {
+        scale,
+        outputWidth: targetWidth,
+        outputHeight: targetHeight,
+        offsetX: (targetWidth - width * scale) / 2,
+        offsetY: (targetHeight - height * scale) / 2
+    };
+}
+
+// Everything needed to render an export: the source region, the scale from
+// document to output pixels and the output canvas size.
+// A fixed region (an artboard, selection or marquee) is rendered exactly:
+// images are clipped at its edges and no smart crop is applied. Otherwise
+// the composition bounds are trimmed by settings.trim. minScale is passed
+// to getNativeExportScale(); createCanvas to findCoverageCrop().
+function computeExportLayout(layers, settings, { region = null, minScale, createCanvas } = {}) {
+    const nativeScale = getNativeExportScale(layers, minScale);
+
+    if (region) {
+        return {
+            region: { x: region.x, y: region.y, width: region.width, height: region.height },
+            trim: null,
+            nativeScale,
+            ...resolveExportSize(region.width, region.height, nativeScale, settings)
+        };
+    }
+
+    const bounds = getCompositionBounds(layers);
+
+    // Trims are measured in native export pixels, whatever size the output
+    // ends up being.
+    const trim = findTrim(layers, bounds, nativeScale, settings.trim, createCanvas);
+    const trimmed = {
+        x: bounds.x + trim.left / nativeScale,
+        y: bounds.y + trim.top / nativeScale,
+        width: (trim.right - trim.left) / nativeScale,
+        height: (trim.bottom - trim.top) / nativeScale
+    };
+
+    return {
+        region: trimmed,
+        trim,
+        nativeScale,
+        ...resolveExportSize(trimmed.width, trimmed.height, nativeScale, settings)
+    };
+}
+
+// How many output pixels each source pixel becomes. Above 1 means the image
+// is being upsampled.
+function getUpsamplingFactors(layers, layout) {
+    return layers.map(layer => ({
+        name: layer.name,
+        factor: Math.max(Math.abs(layer.scaleX), Math.abs(layer.scaleY)) * layout.scale
+    }));
+}
+
+// Place each layer in output pixels for drawComposite(), bottom to top
+function getLayerDescriptors(layers, layout) {
+    const exportScale = layout.scale;
+    const sortedLayers = [...layers].sort((a, b) => a.zIndex - b.zIndex);
+
+    return sortedLayers.map(layer => {
+        const crop = getLayerCrop(layer);
+        return {
+            source: layer.imageRef,
+            crop,
+            x: (layer.x - layout.region.x) * exportScale + layout.offsetX,
+            y: (layer.y - layout.region.y) * exportScale + layout.offsetY,
+            width: crop.width * Math.abs(layer.scaleX) * exportScale,
+            height: crop.height * Math.abs(layer.scaleY) * exportScale,
+            rotation: layer.rotation,
+            flipX: layer.scaleX < 0,
+            flipY: layer.scaleY < 0,
+            opacity: layer.opacity,
+            blendMode: layer.blendMode || 'source-over'
+        };
+    });
+}
+
+// ============================================
+// Streaming PNG encoder
+// ============================================
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes, crc = 0xffffffff) {
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return crc;
+}
+
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, (crc32(chunk.subarray(4, 8 + data.length)) ^ 0xffffffff) >>> 0);
+    return chunk;
+}
+
+// Render the image band by band and stream the rows through zlib
+// (CompressionStream) into a PNG, so no canvas ever has to hold the whole
+// image. renderTile(tile) returns the tile's RGBA pixels.
+async function encodeTiledPng({ width, height, renderTile, onProgress, isCancelled }) {
+    const TILE_WIDTH = 4096;
+    const BAND_HEIGHT = 512;
+    const rowBytes = width * 4 + 1;
+
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = 8; // bit depth
+    header[9] = 6; // RGBA
+    const parts = [
+        new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]),
+        pngChunk('IHDR', header)
+    ];
+
+    const compressor = new CompressionStream('deflate');
+    const writer = compressor.writable.getWriter();
+    const reader = compressor.readable.getReader();
+    const collected = (async () => {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            parts.push(pngChunk('IDAT', value));
+        }
+    })();
+
+    const bands = Math.ceil(height / BAND_HEIGHT);
+
+    for (let band = 0; band < bands; band++) {
+        if (isCancelled && isCancelled()) {
+            // Reading fails with the abort too; only the AbortError matters
+            collected.catch(() => {});
+            await writer.abort();
+            throw abortError();
+        }
+
+        const y = band * BAND_HEIGHT;
+        const bandHeight = Math.min(BAND_HEIGHT, height - y);
+        const rows = new Uint8Array(rowBytes * bandHeight);
+
+        if (onProgress) onProgress(band / bands, `Rendering rows ${y + 1}–${y + bandHeight} of ${height}...`);
+        await new Promise(resolve => setTimeout(resolve, 0)); // let progress and cancel through
+
+        for (let x = 0; x < width; x += TILE_WIDTH) {
+            const tile = { x, y, width: Math.min(TILE_WIDTH, width - x), height: bandHeight };
+            const pixels = renderTile(tile);
+            for (let row = 0; row < bandHeight; row++) {
+                rows.set(pixels.subarray(row * tile.width * 4, (row + 1) * tile.width * 4), row * rowBytes + 1 + x * 4);
+            }
+        }
+
+        // Sub filter: each byte minus the same channel of the pixel to its left
+        for (let row = 0; row < bandHeight; row++) {
+            const start = row * rowBytes;
+            rows[start] = 1;
+            for (let i = start + rowBytes - 1; i > start + 4; i--) {
+                rows[i] = (rows[i] - rows[i - 4]) & 0xff;
+            }
+        }
+
+        await writer.write(rows);
+    }
+
+    await writer.close();
+    await collected;
+    parts.push(pngChunk('IEND', new Uint8Array(0)));
+
+    return new Blob(parts, { type: 'image/png' });
+}
+
+// ============================================
+// Layered Export (OpenRaster / PSD)
+// ============================================
+
+// PSD documents are limited to 30000 px per side
+const PSD_MAX_DIMENSION = 30000;
+
+// Descriptors for layered export: each layer with its name and the tile of
+// the output it covers (its rect plus a pixel of margin for the bleed).
+// Layers clipped away by the artboard or region are left out.
+function getLayeredDescriptors(layers, layout) {
+    const sortedLayers = [...layers].sort((a, b) => a.zIndex - b.zIndex);
+    const descriptors = getLayerDescriptors(sortedLayers, layout);
+
+    return sortedLayers.map((layer, i) => {
+        const r = getLayerRect(layer);
+        const left = Math.max(0, Math.floor((r.x - layout.region.x) * layout.scale + layout.offsetX) - 1);
+        const top = Math.max(0, Math.floor((r.y - layout.region.y) * layout.scale + layout.offsetY) - 1);
+        const right = Math.min(layout.outputWidth, Math.ceil((r.x + r.width - layout.region.x) * layout.scale + layout.offsetX) + 1);
+        const bottom = Math.min(layout.outputHeight, Math.ceil((r.y + r.height - layout.region.y) * layout.scale + layout.offsetY) + 1);
+        if (right <= left || bottom <= top) return null;
+
+        return { ...descriptors[i], name: layer.name, tile: { x: left, y: top, width: right - left, height: bottom - top } };
+    }).filter(Boolean);
+}
+
+// Render and encode a layered export: each layer on its own canvas (opacity
+// and blend mode are left to the layer properties rather than baked in), plus
+// the merged image. format is 'psd' or 'ora'. A PSD resolves to a Blob; an
+// OpenRaster file to its encoded parts, which the page packs with JSZip
+// (packOpenRaster() in app.js). onProgress(fraction, text) may return a
+// promise, which is awaited.
+async function encodeLayered(format, layers, width, height, background, metadata, { createCanvas, onProgress }) {
+    // Layers bottom to top; a background fill becomes the bottom layer
+    const canvases = [];
+    if (background) {
+        const canvas = createCanvas(width, height);
+        flattenCanvas(canvas, background);
+        canvases.push({ name: 'Background', canvas, x: 0, y: 0, opacity: 1, blendMode: 'source-over' });
+    }
+    for (let i = 0; i < layers.length; i++) {
+        const layer = layers[i];
+        await onProgress(i / layers.length * 0.4, `Rendering layer ${i + 1} of ${layers.length}...`);
+        const canvas = createCanvas(layer.tile.width, layer.tile.height);
+        drawComposite(canvas.getContext('2d'), [layer], layer.tile, { isolated: true });
+        canvases.push({ name: layer.name, canvas, x: layer.tile.x, y: layer.tile.y, opacity: layer.opacity, blendMode: layer.blendMode });
+    }
+
+    // The PSD merged image has no alpha channel, so it always gets a background
+    const merged = createCanvas(width, height);
+    drawComposite(merged.getContext('2d'), layers, { x: 0, y: 0, width, height });
+    const mergedBackground = background || (format === 'psd' ? '#ffffff' : null);
+    if (mergedBackground) flattenCanvas(merged, mergedBackground);
+
+    return format === 'psd'
+        ? await encodePsd(canvases, merged, metadata, onProgress)
+        : await encodeOpenRasterParts(canvases, merged, createCanvas, onProgress);
+}
+
+function canvasToPngBlob(canvas) {
+    if (canvas.convertToBlob) return canvas.convertToBlob({ type: 'image/png' });
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+// The PNGs of an OpenRaster file: one per layer (bottom to top), the merged
+// image and a thumbnail
+async function encodeOpenRasterParts(layers, merged, createCanvas, onProgress) {
+    const parts = { width: merged.width, height: merged.height, layers: [] };
+    for (let i = 0; i < layers.length; i++) {
+        const { canvas, ...layer } = layers[i];
+        await onProgress(0.4 + i / layers.length * 0.4, `Encoding layer ${i + 1} of ${layers.length}...`);
+        parts.layers.push({ ...layer, png: await canvasToPngBlob(canvas) });
+    }
+
+    await onProgress(0.85, 'Encoding merged image...');
+    parts.merged = await canvasToPngBlob(merged);
+
+    const thumbScale = Math.min(1, 256 / Math.max(merged.width, merged.height));
+    const thumb = createCanvas(Math.max(1, Math.round(merged.width * thumbScale)), Math.max(1, Math.round(merged.height * thumbScale)));
+    thumb.getContext('2d').drawImage(merged, 0, 0, thumb.width, thumb.height);
+    parts.thumbnail = await canvasToPngBlob(thumb);
+    return parts;
+}
+
+// OpenRaster stack.xml: layers listed top to bottom
+function buildOpenRasterStack(parts) {
+    const stackEntries = parts.layers.map((layer, i) => {
+        const compositeOp = (blendModes.find(m => m.value === layer.blendMode) || blendModes[0]).ora;
+        return `    <layer name="${escapeXml(layer.name)}" src="data/layer${i}.png" x="${layer.x}" y="${layer.y}" ` +
+               `opacity="${layer.opacity.toFixed(3)}" visibility="visible" composite-op="${compositeOp}"/>`;
+    }).reverse();
+
+    return [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<image version="0.0.5" w="${parts.width}" h="${parts.height}">`,
+        `  <stack>`,
+        ...stackEntries,
+        `  </stack>`,
+        `</image>`,
+        ``
+    ].join('\n');
+}
+
+// Big-endian byte writer for the PSD encoder
+function createByteWriter() {
+    const parts = [];
+    let length = 0;
+
+    function number(size, setter, value) {
+        const bytes = new Uint8Array(size);
+        new DataView(bytes.buffer)[setter](0, value);
+        writer.bytes(bytes);
+    }
+
+    const writer = {
+        get length() { return length; },
+        get parts() { return parts; },
+        bytes(bytes) { parts.push(bytes); length += bytes.length; },
+        uint8(value) { writer.bytes(Uint8Array.of(value)); },
+        int16(value) { number(2, 'setInt16', value); },
+        uint16(value) { number(2, 'setUint16', value); },
+        int32(value) { number(4, 'setInt32', value); },
+        uint32(value) { number(4, 'setUint32', value); },
+        ascii(text) { writer.bytes(Uint8Array.from(text, c => c.charCodeAt(0) & 0xff)); },
+        append(other) { other.parts.forEach(part => writer.bytes(part)); }
+    };
+    return writer;
+}
+
+// Split RGBA pixels into separate channel planes
+function toPlanes(canvas) {
+    const { width, height } = canvas;
+    const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    const planes = [0, 1, 2, 3].map(() => new Uint8Array(width * height));
+    for (let i = 0, p = 0; p < width * height; p++) {
+        planes[0][p] = data[i++];
+        planes[1][p] = data[i++];
+        planes[2][p] = data[i++];
+        planes[3][p] = data[i++];
+    }
+    return { red: planes[0], green: planes[1], blue: planes[2], alpha: planes[3] };
+}
+
+// Basic PSD: 8-bit RGB, one raster layer per image with its opacity and
+// blend mode, uncompressed channel data, and a merged image for previews.
+// Metadata, if given, is stored as an XMP image resource.
+async function encodePsd(layers, merged, metadata, onProgress) {
+    const psd = createByteWriter();
+
+    // Header
+    psd.ascii('8BPS');
+    psd.uint16(1);
+    psd.bytes(new Uint8Array(6));
+    psd.uint16(3); // channels in the merged image
+    psd.uint32(merged.height);
+    psd.uint32(merged.width);
+    psd.uint16(8); // bits per channel
+    psd.uint16(3); // RGB
+
+    psd.uint32(0); // color mode data
+
+    // Image resources: XMP (resource 1060) with an empty name
+    if (metadata) {
+        const xmp = utf8(buildXmp(metadata));
+        const padding = xmp.length % 2;
+        psd.uint32(4 + 2 + 2 + 4 + xmp.length + padding);
+        psd.ascii('8BIM');
+        psd.uint16(0x0424);
+        psd.uint16(0);
+        psd.uint32(xmp.length);
+        psd.bytes(xmp);
+        psd.bytes(new Uint8Array(padding));
+    } else {
+        psd.uint32(0);
+    }
+
+    // Layer records, then all channel data in the same order
+    const records = createByteWriter();
+    const channelData = createByteWriter();
+    records.int16(layers.length);
+
+    for (let i = 0; i < layers.length; i++) {
+        const layer = layers[i];
+        const { width, height } = layer.canvas;
+        await onProgress(0.4 + i / layers.length * 0.4, `Encoding layer ${i + 1} of ${layers.length}...`);
+
+        const planes = toPlanes(layer.canvas);
+        const channels = [[-1, planes.alpha], [0, planes.red], [1, planes.green], [2, planes.blue]];
+
+        records.int32(layer.y);
+        records.int32(layer.x);
+        records.int32(layer.y + height);
+        records.int32(layer.x + width);
+        records.uint16(channels.length);
+        channels.forEach(([id, plane]) => {
+            records.int16(id);
+            records.uint32(2 + plane.length);
+            channelData.uint16(0); // raw
+            channelData.bytes(plane);
+        });
+
+        const blendKey = (blendModes.find(m => m.value === layer.blendMode) || blendModes[0]).psd;
+        records.ascii('8BIM');
+        records.ascii(blendKey);
+        records.uint8(Math.round(layer.opacity * 255));
+        records.uint8(0); // clipping: base
+        records.uint8(0); // flags: visible
+        records.uint8(0); // filler
+
+        // Pascal string name (ASCII only), padded to a multiple of 4 bytes
+        const name = layer.name.replace(/[^\x20-\x7e]/g, '_').slice(0, 255);
+        const nameLength = Math.ceil((name.length + 1) / 4) * 4;
+        records.uint32(4 + 4 + nameLength);
+        records.uint32(0); // layer mask data
+        records.uint32(0); // blending ranges
+        records.uint8(name.length);
+        records.ascii(name);
+        records.bytes(new Uint8Array(nameLength - name.length - 1));
+    }
+
+    const layerInfoLength = records.length + channelData.length;
+    const layerInfoPadding = layerInfoLength % 2;
+
+    psd.uint32(4 + layerInfoLength + layerInfoPadding + 4);
+    psd.uint32(layerInfoLength + layerInfoPadding);
+    psd.append(records);
+    psd.append(channelData);
+    psd.bytes(new Uint8Array(layerInfoPadding));
+    psd.uint32(0); // global layer mask info
+
+    // Merged image
+    await onProgress(0.85, 'Encoding merged image...');
+    const mergedPlanes = toPlanes(merged);
+    psd.uint16(0); // raw
+    psd.bytes(mergedPlanes.red);
+    psd.bytes(mergedPlanes.green);
+    psd.bytes(mergedPlanes.blue);
+
+    return new Blob(psd.parts, { type: 'image/vnd.adobe.photoshop' });
+}
+
+// ============================================
+// Metadata (EXIF / XMP)
+// ============================================
+
+// Metadata for an export of some layers: provenance (project and source
+// file names) plus the capture info of a primary image, chosen in the
+// export dialog.
+function buildExportMetadata(layers, options, projectName) {
+    const withMetadata = layers.filter(layer => layer.metadata);
+    let primary = null;
+    if (options.metadataSource === 'auto') {
+        // Bottom-most image that has capture info
+        primary = [...withMetadata].sort((a, b) => a.zIndex - b.zIndex)[0] || null;
+    } else if (options.metadataSource !== 'none') {
+        primary = withMetadata.find(layer => layer.id === options.metadataSource) || null;
+    }
+
+    const capture = primary ? { ...primary.metadata } : {};
+    if (!options.includeGps) delete capture.gps;
+
+    return {
+        projectName: projectName.replace(/\.montage$/i, ''),
+        sources: layers.map(layer => layer.name),
+        ...capture
+    };
+}
+
+function utf8(text) {
+    return new TextEncoder().encode(text);
+}
+
+function concatBytes(...arrays) {
+    const out = new Uint8Array(arrays.reduce((sum, a) => sum + a.length, 0));
+    let offset = 0;
+    arrays.forEach(a => { out.set(a, offset); offset += a.length; });
+    return out;
+}
+
+// EXIF "YYYY:MM:DD HH:MM:SS" for a Date
+function formatExifDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}:${pad(date.getMonth() + 1)}:${pad(date.getDate())} ` +
+           `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+// Little-endian TIFF with IFD0, an Exif IFD and (optionally) a GPS IFD
+function buildExifTiff(metadata) {
+    function entry(tag, type, value) {
+        let data;
+        if (type === 2) data = concatBytes(Uint8Array.from(value, c => c.charCodeAt(0) & 0x7f), Uint8Array.of(0));
+        else if (type === 1 || type === 7) data = Uint8Array.from(value);
+        else if (type === 4) data = new Uint8Array(new Uint32Array([value]).buffer);
+        else if (type === 5) {
+            const words = new Uint32Array(value.length * 2);
+            value.forEach(([num, den], i) => { words[i * 2] = num; words[i * 2 + 1] = den; });
+            data = new Uint8Array(words.buffer);
+        }
+        const count = type === 5 ? value.length : data.length / (type === 4 ? 4 : 1);
+        return { tag, type, count, data };
+    }
+
+    function ifdSize(entries) {
+        return 2 + entries.length * 12 + 4 +
+            entries.reduce((sum, e) => sum + (e.data.length > 4 ? e.data.length + (e.data.length % 2) : 0), 0);
+    }
+
+    function writeIfd(entries, offset) {
+        entries.sort((a, b) => a.tag - b.tag);
+        const out = new Uint8Array(ifdSize(entries));
+        const view = new DataView(out.buffer);
+        view.setUint16(0, entries.length, true);
+        let dataOffset = 2 + entries.length * 12 + 4;
+        entries.forEach((e, i) => {
+            const p = 2 + i * 12;
+            view.setUint16(p, e.tag, true);
+            view.setUint16(p + 2, e.type, true);
+            view.setUint32(p + 4, e.count, true);
+            if (e.data.length > 4) {
+                view.setUint32(p + 8, offset + dataOffset, true);
+                out.set(e.data, dataOffset);
+                dataOffset += e.data.length + (e.data.length % 2);
+            } else {
+                out.set(e.data, p + 8);
+            }
+        });
+        return out; // next IFD offset stays 0
+    }
+
+    // Rationals with enough precision for GPS seconds and altitudes
+    const toDms = (value) => {
+        const abs = Math.abs(value);
+        const degrees = Math.floor(abs);
+        const minutes = Math.floor((abs - degrees) * 60);
+        const seconds = (abs - degrees - minutes / 60) * 3600;
+        return [[degrees, 1], [minutes, 1], [Math.round(seconds * 10000), 10000]];
+    };
+
+    const ifd0 = [
+        entry(0x0131, 2, 'Montage'),
+        entry(0x0132, 2, formatExifDate(new Date())),
+        entry(0x8769, 4, 0)
+    ];
+    if (metadata.make) ifd0.push(entry(0x010f, 2, metadata.make));
+    if (metadata.model) ifd0.push(entry(0x0110, 2, metadata.model));
+
+    const exif = [entry(0x9000, 7, [0x30, 0x32, 0x33, 0x32])];
+    if (metadata.dateTimeOriginal) exif.push(entry(0x9003, 2, metadata.dateTimeOriginal));
+
+    let gps = null;
+    if (metadata.gps) {
+        gps = [
+            entry(0x0000, 1, [2, 3, 0, 0]),
+            entry(0x0001, 2, metadata.gps.latitude < 0 ? 'S' : 'N'),
+            entry(0x0002, 5, toDms(metadata.gps.latitude)),
+            entry(0x0003, 2, metadata.gps.longitude < 0 ? 'W' : 'E'),
+            entry(0x0004, 5, toDms(metadata.gps.longitude))
+        ];
+        if (metadata.gps.altitude !== undefined) {
+            gps.push(entry(0x0005, 1, [metadata.gps.altitude < 0 ? 1 : 0]));
+            gps.push(entry(0x0006, 5, [[Math.round(Math.abs(metadata.gps.altitude) * 100), 100]]));
+        }
+        ifd0.push(entry(0x8825, 4, 0));
+    }
+
+    // Lay out header | IFD0 | Exif IFD | GPS IFD, then patch in the pointers
+    const ifd0Offset = 8;
+    const exifOffset = ifd0Offset + ifdSize(ifd0);
+    const gpsOffset = exifOffset + ifdSize(exif);
+    ifd0.find(e => e.tag === 0x8769).data = new Uint8Array(new Uint32Array([exifOffset]).buffer);
+    if (gps) ifd0.find(e => e.tag === 0x8825).data = new Uint8Array(new Uint32Array([gpsOffset]).buffer);
+
+    const header = Uint8Array.of(0x49, 0x49, 42, 0, ifd0Offset, 0, 0, 0);
+    return concatBytes(header, writeIfd(ifd0, ifd0Offset), writeIfd(exif, exifOffset), gps ? writeIfd(gps, gpsOffset) : new Uint8Array(0));
+}
+
+// XMP packet: project name, source files (as xmpMM:Ingredients) and the
+// primary image's capture info
+function buildXmp(metadata) {
+    const isoDate = (exifDate) => exifDate.replace(/^(\d{4}):(\d{2}):(\d{2}) /, '$1-$2-$3T');
+    const xmpCoordinate = (value, positive, negative) => {
+        const abs = Math.abs(value);
+        const degrees = Math.floor(abs);
+        return `${degrees},${((abs - degrees) * 60).toFixed(6)}${value < 0 ? negative : positive}`;
+    };
+
+    const properties = [
+        `<xmp:CreatorTool>Montage</xmp:CreatorTool>`,
+        `<xmp:CreateDate>${new Date().toISOString()}</xmp:CreateDate>`,
+        `<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(metadata.projectName)}</rdf:li></rdf:Alt></dc:title>`,
+        `<xmpMM:Ingredients><rdf:Bag>${metadata.sources.map(name =>
+            `<rdf:li rdf:parseType="Resource"><stRef:filePath>${escapeXml(name)}</stRef:filePath></rdf:li>`
+        ).join('')}</rdf:Bag></xmpMM:Ingredients>`
+    ];
+    if (metadata.make) properties.push(`<tiff:Make>${escapeXml(metadata.make)}</tiff:Make>`);
+    if (metadata.model) properties.push(`<tiff:Model>${escapeXml(metadata.model)}</tiff:Model>`);
+    if (metadata.dateTimeOriginal) {
+        properties.push(`<exif:DateTimeOriginal>${isoDate(metadata.dateTimeOriginal)}</exif:DateTimeOriginal>`);
+        properties.push(`<photoshop:DateCreated>${isoDate(metadata.dateTimeOriginal)}</photoshop:DateCreated>`);
+    }
+    if (metadata.gps) {
+        properties.push(`<exif:GPSLatitude>${xmpCoordinate(metadata.gps.latitude, 'N', 'S')}</exif:GPSLatitude>`);
+        properties.push(`<exif:GPSLongitude>${xmpCoordinate(metadata.gps.longitude, 'E', 'W')}</exif:GPSLongitude>`);
+    }
+
+    return [
+        `<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>`,
+        `<x:xmpmeta xmlns:x="adobe:ns:meta/">`,
+        `<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">`,
+        `<rdf:Description rdf:about=""`,
+        `  xmlns:xmp="http://ns.adobe.com/xap/1.0/"`,
+        `  xmlns:dc="http://purl.org/dc/elements/1.1/"`,
+        `  xmlns:xmpMM="http://ns.adobe.com/xap/1.0/mm/"`,
+        `  xmlns:stRef="http://ns.adobe.com/xap/1.0/sType/ResourceRef#"`,
+        `  xmlns:tiff="http://ns.adobe.com/tiff/1.0/"`,
+        `  xmlns:exif="http://ns.adobe.com/exif/1.0/"`,
+        `  xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/">`,
+        ...properties,
+        `</rdf:Description>`,
+        `</rdf:RDF>`,
+        `</x:xmpmeta>`,
+        `<?xpacket end="w"?>`
+    ].join('\n');
+}
+
+function jpegSegment(marker, payload) {
+    const segment = new Uint8Array(4 + payload.length);
+    const view = new DataView(segment.buffer);
+    view.setUint16(0, marker);
+    view.setUint16(2, payload.length + 2);
+    segment.set(payload, 4);
+    return segment;
+}
+
+function riffChunk(type, payload) {
+    const chunk = new Uint8Array(8 + payload.length + (payload.length % 2));
+    const view = new DataView(chunk.buffer);
+    for (let i = 0; i < 4; i++) chunk[i] = type.charCodeAt(i);
+    view.setUint32(4, payload.length, true);
+    chunk.set(payload, 8);
+    return chunk;
+}
+
+// Add EXIF and XMP to an encoded JPEG, PNG or WebP. Large files are spliced
+// with Blob.slice so only the headers are read.
+async function embedMetadata(blob, format, metadata, width, height) {
+    const tiff = buildExifTiff(metadata);
+    const xmp = utf8(buildXmp(metadata));
+
+    if (format.type === 'image/jpeg') {
+        // After SOI and the JFIF APP0 segment, if present
+        const head = new DataView(await blob.slice(0, 6).arrayBuffer());
+        const insertAt = head.getUint16(2) === 0xffe0 ? 4 + head.getUint16(4) : 2;
+        return new Blob([
+            blob.slice(0, insertAt),
+            jpegSegment(0xffe1, concatBytes(utf8('Exif\0\0'), tiff)),
+            jpegSegment(0xffe1, concatBytes(utf8('http://ns.adobe.com/xap/1.0/\0'), xmp)),
+            blob.slice(insertAt)
+        ], { type: format.type });
+    }
+
+    if (format.type === 'image/png') {
+        // Right after the IHDR chunk (signature + 25-byte IHDR)
+        const itxt = concatBytes(utf8('XML:com.adobe.xmp\0'), Uint8Array.of(0, 0, 0, 0), xmp);
+        return new Blob([
+            blob.slice(0, 33),
+            pngChunk('eXIf', tiff),
+            pngChunk('iTXt', itxt),
+            blob.slice(33)
+        ], { type: format.type });
+    }
+
+    if (format.type === 'image/webp') {
+        // Metadata needs the extended (VP8X) container; simple files get one
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const firstChunk = String.fromCharCode(...bytes.subarray(12, 16));
+        let body;
+        if (firstChunk === 'VP8X') {
+            body = bytes.slice(12);
+            body[8] |= 0x08 | 0x04;
+        } else {
+            const vp8x = new Uint8Array(10);
+            vp8x[0] = 0x08 | 0x04 | (firstChunk === 'VP8L' ? 0x10 : 0);
+            vp8x.set([(width - 1) & 0xff, ((width - 1) >> 8) & 0xff, ((width - 1) >> 16) & 0xff], 4);
+            vp8x.set([(height - 1) & 0xff, ((height - 1) >> 8) & 0xff, ((height - 1) >> 16) & 0xff], 7);
+            body = concatBytes(riffChunk('VP8X', vp8x), bytes.subarray(12));
+        }
+        const content = concatBytes(utf8('WEBP'), body, riffChunk('EXIF', tiff), riffChunk('XMP ', xmp));
+        const header = new Uint8Array(8);
+        header.set(utf8('RIFF'));
+        new DataView(header.buffer).setUint32(4, content.length, true);
+        return new Blob([header, content], { type: format.type });
+    }
+
+    return blob;
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, c => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;'
+    })[c]);
+}
+
+// The page and the export worker load this as a script; the Node tools
+// (render.js, inspect.js) require it
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        BLEED,
+        drawComposite,
+        flattenCanvas,
+        abortError,
+        paperSizes,
+        getLayerCrop,
+        getLayerRect,
+        getCompositionBounds,
+        computeExportLayout,
+        getUpsamplingFactors,
+        getLayerDescriptors,
+        encodeTiledPng,
+        buildExportMetadata,
+        embedMetadata
+    };
+}
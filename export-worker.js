@@ -0,0 +1,60 @@
+// Export worker: composites the layers on OffscreenCanvases and encodes the
+// result, so the page stays responsive while exporting.
+//
+// Message in:  { layers, width, height, background,
+//                format, quality, tiled }        flat export
+//                layered: 'ora' | 'psd', metadata } layered export
+//              (layer sources are ImageBitmaps, closed here when done)
+// Messages out: { type: 'progress', fraction, text }
+//               { type: 'done', result } | { type: 'error', message }
+// result is the encoded Blob (null if the format isn't supported), or for
+// OpenRaster the parts from encodeLayered() for the page to pack.
+
+importScripts('project.js', 'compositor.js');
+
+self.onmessage = async (e) => {
+    const { layers, width, height, background, format, quality, tiled, layered, metadata } = e.data;
+
+    const progress = (fraction, text) => self.postMessage({ type: 'progress', fraction, text });
+
+    try {
+        let result;
+        if (layered) {
+            result = await encodeLayered(layered, layers, width, height, background, metadata, {
+                createCanvas: (w, h) => new OffscreenCanvas(w, h),
+                onProgress: progress
+            });
+        } else if (tiled) {
+            const tileCanvas = new OffscreenCanvas(1, 1);
+            result = await encodeTiledPng({
+                width,
+                height,
+                onProgress: progress,
+                renderTile: (tile) => {
+                    tileCanvas.width = tile.width;
+                    tileCanvas.height = tile.height;
+                    drawComposite(tileCanvas.getContext('2d'), layers, tile);
+                    if (background) flattenCanvas(tileCanvas, background);
+                    return tileCanvas.getContext('2d').getImageData(0, 0, tile.width, tile.height).data;
+                }
+            });
+        } else {
+            const canvas = new OffscreenCanvas(width, height);
+            drawComposite(canvas.getContext('2d'), layers, { x: 0, y: 0, width, height }, {
+                onLayer: (done, total) => progress(done / total * 0.9, `Compositing layer ${done} of ${total}...`)
+            });
+            if (background) flattenCanvas(canvas, background);
+
+            progress(0.9, 'Encoding...');
+            result = await canvas.convertToBlob({ type: format, quality });
+            // Unsupported types silently fall back to PNG
+            if (result.type !== format) result = null;
+        }
+
+        self.postMessage({ type: 'done', result });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    } finally {
+        layers.forEach(layer => layer.source.close());
+    }
+};
@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+// Inspect and validate .montage files and project folders without rendering
+// them. Projects are parsed with the page's own schema code (project.js), so
+// the problems listed are the ones its load report would show.
+// Usage: node inspect.js [options] <project or directory>...
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const JSZip = require('jszip');
+const {
+    blendModes, mergeFolderViewData, checkProjectData, loadReportHasProblems, reportMissingAsset, createLayerState
+} = require('./project.js');
+const { getCompositionBounds } = require('./compositor.js');
+
+// Exit codes: 0 no problems, 1 bad arguments or no projects, 2 problems found
+// (including unreadable projects)
+const EXIT_PROBLEMS = 2;
+
+const USAGE = `Usage: node inspect.js [options] <project or directory>...
+
+Lists each project's layers (name, original size, crop, blend mode and
+opacity), canvas bounds and assets (with their size in the project), and
+flags problems: missing images, invalid or out-of-range values, zero-area
+crops and unknown fields. Images aren't decoded, so unreadable image data
+isn't detected.
+
+Options:
+  --validate             only list projects with problems, and their problems
+  --json                 print a JSON array, one entry per project
+  --recursive            also search subdirectories of directories given
+  --source-folder <dir>  where to look for linked images
+  -h, --help             show this help
+
+Linked images are only checked with --source-folder; otherwise each is
+listed as not checked, which doesn't count as a problem.
+
+Exit codes: 0 no problems; 2 problems found, including projects that can't
+be read at all (not an archive, missing or invalid project.json); 1 bad
+arguments, or no projects found`;
+
+function fail(message) {
+    console.error(message);
+    console.error(`\n${USAGE}`);
+    process.exit(1);
+}
+
+// A project folder holds project.json and its images/
+function isProjectFolder(dir) {
+    return fs.existsSync(path.join(dir, 'project.json'));
+}
+
+// Projects (.montage files and project folders) in dir. Project folders
+// aren't searched inside.
+function findProjects(dir, recursive) {
+    const projects = [];
+    const entries = fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isFile() && entry.name.endsWith('.montage')) {
+            projects.push(entryPath);
+        } else if (entry.isDirectory()) {
+            if (isProjectFolder(entryPath)) projects.push(entryPath);
+            else if (recursive) projects.push(...findProjects(entryPath, recursive));
+        }
+    }
+    return projects;
+}
+
+// A project's files: readFile(path) resolves to a Buffer or null, size is
+// the archive's (or folder's) total size in bytes
+async function openProjectFiles(projectPath) {
+    if (fs.statSync(projectPath).isDirectory()) {
+        const files = [path.join(projectPath, 'project.json'), path.join(projectPath, 'view.json')];
+        const imagesDir = path.join(projectPath, 'images');
+        if (fs.existsSync(imagesDir)) {
+            files.push(...fs.readdirSync(imagesDir).map(name => path.join(imagesDir, name)));
+        }
+        return {
+            size: files.reduce((total, file) => total + (fs.existsSync(file) ? fs.statSync(file).size : 0), 0),
+            readFile: async (file) => {
+                const filePath = path.join(projectPath, ...file.split('/'));
+                return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+            }
+        };
+    }
+
+    const data = fs.readFileSync(projectPath);
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(data);
+    } catch (err) {
+        throw new Error('Invalid project: not a .montage archive');
+    }
+    return {
+        size: data.length,
+        readFile: async (file) => {
+            const entry = zip.file(file);
+            return entry ? await entry.async('nodebuffer') : null;
+        }
+    };
+}
+
+// Everything inspect reports about one project. Fatal problems (not a
+// project at all) are in error; the rest are in problems, grouped as in the
+// page's load report. Linked files that weren't looked for (no source
+// folder) are listed in unchecked, which doesn't count as a problem.
+async function inspectProject(projectPath, { sourceFolder = null } = {}) {
+    const result = { project: projectPath, size: null, version: null, layerCount: 0, bounds: null, artboard: null, layers: [], assets: [], problems: null, unchecked: [], error: null };
+    try {
+        const { size, readFile } = await openProjectFiles(projectPath);
+        result.size = size;
+
+        const projectFile = await readFile('project.json');
+        if (!projectFile) throw new Error('Invalid project: missing project.json');
+        let projectData;
+        try {
+            projectData = JSON.parse(projectFile.toString('utf8'));
+        } catch (err) {
+            throw new Error('Invalid project: project.json is not valid JSON');
+        }
+        const viewFile = await readFile('view.json');
+        projectData = mergeFolderViewData(projectData, viewFile && viewFile.toString('utf8'));
+
+        const { project, report } = checkProjectData(projectData);
+        result.version = projectData.version ?? 1;
+        result.artboard = project.artboard;
+
+        // Each asset's size in the project, or where its linked file is.
+        // Linked files are only checked when there's a source folder.
+        const assets = new Map();
+        for (const { asset } of project.images) {
+            if (assets.has(asset.id)) continue;
+            const data = await readFile(`images/${asset.filename}`);
+            const entry = { id: asset.id, filename: asset.filename, format: asset.format, path: asset.path || null, size: data ? data.length : null, found: Boolean(data) };
+            if (!data && asset.path) {
+                if (sourceFolder) {
+                    const linkedPath = path.join(sourceFolder, ...asset.path.split('/'));
+                    entry.found = fs.existsSync(linkedPath);
+                } else {
+                    entry.found = null;
+                }
+            }
+            assets.set(asset.id, entry);
+        }
+        result.assets = [...assets.values()];
+
+        // Layers that would load, for the bounds. Layers whose image is
+        // missing (or isn't listed, or that aren't layers at all) are left out.
+        const layers = [];
+        for (const imgData of project.images) {
+            const asset = assets.get(imgData.asset.id);
+            if (asset.found === null) {
+                result.unchecked.push(`${imgData.label}: linked file ${asset.path} (no --source-folder)`);
+            }
+            if (asset.found === false) {
+                reportMissingAsset(imgData, false, report);
+                continue;
+            }
+            // The stored original size stands in for the decoded image. A
+            // copy, so a reset crop doesn't change what's listed.
+            layers.push(createLayerState({ ...imgData, cropBounds: { ...imgData.cropBounds } },
+                { width: imgData.originalWidth, height: imgData.originalHeight }, report));
+        }
+
+        // Every layer in project.json is listed with its stored values; the
+        // problems say what loading it would change
+        const storedImages = Array.isArray(projectData.images) ? projectData.images : [];
+        result.layers = storedImages.map((stored, i) => {
+            const imgData = project.images.find(image => image.index === i);
+            if (!stored || typeof stored !== 'object') return { name: null, status: 'invalid' };
+            return {
+                name: typeof stored.name === 'string' ? stored.name : `image-${i}`,
+                id: stored.id ?? null,
+                asset: stored.asset ?? null,
+                originalWidth: stored.originalWidth ?? null,
+                originalHeight: stored.originalHeight ?? null,
+                crop: stored.cropBounds ?? null,
+                blendMode: stored.blendMode ?? null,
+                opacity: stored.opacity ?? null,
+                status: !imgData ? 'missing' : assets.get(imgData.asset.id).found === false ? 'missing' : 'ok'
+            };
+        });
+        result.layerCount = result.layers.length;
+
+        // Only layers of known size have bounds
+        const sized = layers.filter(layer => layer.originalWidth && layer.originalHeight);
+        if (sized.length > 0) result.bounds = getCompositionBounds(sized);
+
+        result.problems = report;
+    } catch (err) {
+        result.error = err.message;
+    }
+    return result;
+}
+
+function hasProblems(result) {
+    return Boolean(result.error) || loadReportHasProblems(result.problems);
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatProblems(result) {
+    if (result.error) return [`  error: ${result.error}`];
+    const { missingAssets, corrections, unknownKeys, warnings } = result.problems;
+    return [
+        ...missingAssets.map(message => `  missing: ${message}`),
+        ...corrections.map(message => `  invalid: ${message}`),
+        ...unknownKeys.map(message => `  unknown field: ${message}`),
+        ...warnings.map(message => `  warning: ${message}`),
+    ];
+}
+
+function formatProject(result) {
+    if (result.error) return [result.project, ...formatProblems(result)];
+
+    const round = value => Math.round(value);
+    const lines = [`${result.project} (version ${result.version}, ${formatBytes(result.size)})`];
+    lines.push(`  Canvas: ${result.bounds
+        ? `${round(result.bounds.width)}×${round(result.bounds.height)} at ${round(result.bounds.x)}, ${round(result.bounds.y)}`
+        : 'unknown'}`);
+    if (result.artboard) {
+        const { width, height, x, y, aspect } = result.artboard;
+        lines.push(`  Artboard: ${round(width)}×${round(height)} at ${round(x)}, ${round(y)} (${aspect})`);
+    }
+
+    lines.push(`  Layers: ${result.layerCount}`);
+    result.layers.forEach((layer, i) => {
+        if (layer.status === 'invalid') {
+            lines.push(`    ${i + 1}. (not a layer)`);
+            return;
+        }
+        const size = layer.originalWidth ? `${layer.originalWidth}×${layer.originalHeight}` : 'size unknown';
+        let crop = 'no crop';
+        if (layer.crop && typeof layer.crop === 'object') {
+            const { top, right, bottom, left } = layer.crop;
+            if (top || right || bottom || left) crop = `crop ${top} ${right} ${bottom} ${left} (t r b l)`;
+        } else if (layer.crop !== null) {
+            crop = `crop ${JSON.stringify(layer.crop)}`;
+        }
+        const blendMode = layer.blendMode ?? 'source-over';
+        const blend = (blendModes.find(mode => mode.value === blendMode) || { label: JSON.stringify(blendMode) }).label;
+        const opacity = layer.opacity === null ? '100%'
+            : typeof layer.opacity === 'number' ? `${Math.round(layer.opacity * 100)}%` : `opacity ${JSON.stringify(layer.opacity)}`;
+        lines.push(`    ${i + 1}. ${layer.name}: ${size}, ${crop}, ${blend}, ${opacity}` +
+                   `${layer.status === 'missing' ? ' (image missing)' : ''}`);
+    });
+
+    lines.push(`  Assets: ${result.assets.length}`);
+    result.assets.forEach(asset => {
+        let where = asset.size !== null ? formatBytes(asset.size) : 'missing';
+        if (asset.size === null && asset.path) {
+            where = `linked to ${asset.path}${asset.found === false ? ' (not found)' : asset.found === null ? ' (not checked)' : ''}`;
+        }
+        lines.push(`    ${asset.filename}: ${asset.format}, ${where}`);
+    });
+
+    if (hasProblems(result)) lines.push('  Problems:', ...formatProblems(result).map(line => `  ${line}`));
+    if (result.unchecked.length > 0) lines.push('  Not checked:', ...result.unchecked.map(message => `    ${message}`));
+    return lines;
+}
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                validate: { type: 'boolean', default: false },
+                json: { type: 'boolean', default: false },
+                recursive: { type: 'boolean', default: false },
+                'source-folder': { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false },
+            },
+        });
+    } catch (err) {
+        fail(err.message);
+    }
+    const { values, positionals } = parsed;
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (positionals.length === 0) fail('Expected a project or a directory');
+
+    const projects = [];
+    for (const target of positionals) {
+        if (!fs.existsSync(target)) fail(`Not found: ${target}`);
+        if (fs.statSync(target).isDirectory() && !isProjectFolder(target)) {
+            projects.push(...findProjects(target, values.recursive));
+        } else {
+            projects.push(target);
+        }
+    }
+    if (projects.length === 0) fail('No .montage files or project folders found');
+
+    const results = [];
+    for (const project of projects) {
+        results.push(await inspectProject(project, { sourceFolder: values['source-folder'] || null }));
+    }
+    const withProblems = results.filter(hasProblems);
+
+    if (values.json) {
+        console.log(JSON.stringify(values.validate ? withProblems : results, null, 2));
+    } else if (values.validate) {
+        withProblems.forEach(result => console.log([result.project, ...formatProblems(result)].join('\n')));
+        console.log(`${withProblems.length} of ${results.length} project(s) with problems`);
+    } else {
+        console.log(results.map(result => formatProject(result).join('\n')).join('\n\n'));
+    }
+
+    if (withProblems.length > 0) process.exitCode = EXIT_PROBLEMS;
+}
+
+module.exports = { inspectProject };
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error(err.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,389 @@
+// The project format (project.json), shared by the page (app.js) and the
+// Node tools (render.js, inspect.js): the schema's version history and
+// migrations, validation with a load report, and the constants it checks
+// against.
+// Nothing here touches the DOM or Konva.
+
+// ============================================
+// Constants
+// ============================================
+
+// Canvas composite operations, with their OpenRaster and PSD equivalents
+// for layered export
+const blendModes = [
+    { value: 'source-over', label: 'Normal', ora: 'svg:src-over', psd: 'norm' },
+    { value: 'screen', label: 'Screen', ora: 'svg:screen', psd: 'scrn' },
+    { value: 'multiply', label: 'Multiply', ora: 'svg:multiply', psd: 'mul ' },
+    { value: 'lighten', label: 'Lighten', ora: 'svg:lighten', psd: 'lite' },
+    { value: 'darken', label: 'Darken', ora: 'svg:darken', psd: 'dark' },
+    { value: 'overlay', label: 'Overlay', ora: 'svg:overlay', psd: 'over' },
+    { value: 'soft-light', label: 'Soft Light', ora: 'svg:soft-light', psd: 'sLit' },
+    { value: 'difference', label: 'Difference', ora: 'svg:difference', psd: 'diff' }
+];
+
+// Artboard aspect presets; 'custom' is a free ratio
+const artboardAspects = [
+    { id: '1:1', label: 'Square 1:1', ratio: 1 },
+    { id: '4:5', label: 'Portrait 4:5', ratio: 4 / 5 },
+    { id: '16:9', label: 'Widescreen 16:9', ratio: 16 / 9 },
+    { id: '3:2', label: 'Photo 3:2', ratio: 3 / 2 },
+    { id: 'custom', label: 'Custom', ratio: null }
+];
+
+// File extensions for the image formats we store in projects
+const imageFormatExtensions = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'image/gif': '.gif',
+    'image/avif': '.avif',
+    'image/bmp': '.bmp',
+    'image/svg+xml': '.svg'
+};
+
+// Canvas background colors of the light and dark settings, which exports
+// use unless given another
+const backgroundColors = { light: '#ffffff', dark: '#1a1a1a' };
+
+// Zoom limits of the canvas view, which projects save
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 10;
+
+function generateImageId() {
+    return 'img_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+// ============================================
+// Project Schema (project.json)
+// ============================================
+
+// Version history:
+//   1  one JPEG per layer; no ids, crop, blend mode, opacity or z-order
+//   2  adds ids, crop bounds, blend mode, opacity and z-order; the artboard
+//      came later without a version change, so it's optional from here on
+//   3  source images stored as their original bytes, with a format per layer
+//   4  each distinct image stored once as an asset named by content hash
+//   5  adds the document settings: name, view, background and selection
+//   6  adds info (times, app version, bounds, layer count) and preview.jpg
+//   7  assets may be linked: a path in the source folder instead of a file
+const PROJECT_VERSION = 7;
+
+// Each migration upgrades project data from version n to n + 1
+const projectMigrations = {
+    1: (data) => ({
+        ...data,
+        images: data.images.map((imgData, i) => ({
+            id: generateImageId(),
+            cropBounds: { top: 0, right: 0, bottom: 0, left: 0 },
+            blendMode: 'source-over',
+            opacity: 1,
+            zIndex: i,
+            ...imgData
+        }))
+    }),
+    2: (data) => ({
+        ...data,
+        images: data.images.map(imgData => ({ format: 'image/jpeg', ...imgData }))
+    }),
+    3: (data) => {
+        const assets = [];
+        const images = data.images.map(({ filename, format, ...imgData }) => {
+            if (!assets.some(asset => asset.id === filename)) {
+                assets.push({ id: filename, filename, format });
+            }
+            return { ...imgData, asset: filename };
+        });
+        return { ...data, assets, images };
+    },
+    4: (data) => data, // document settings are optional
+    5: (data) => data, // so is info
+    6: (data) => data // every asset was embedded
+};
+
+// Keys the current version knows about; anything else is reported
+const projectKeys = {
+    project: ['version', 'info', 'name', 'view', 'background', 'selection', 'assets', 'images', 'artboard'],
+    asset: ['id', 'filename', 'format', 'path'],
+    layer: ['asset', 'id', 'x', 'y', 'scaleX', 'scaleY', 'rotation', 'cropBounds', 'blendMode',
+            'opacity', 'originalWidth', 'originalHeight', 'name', 'metadata', 'zIndex'],
+    artboard: ['x', 'y', 'width', 'height', 'aspect'],
+    view: ['scale', 'x', 'y']
+};
+
+// Problems found while loading a project. Nothing in here stops the load;
+// the user decides whether to go ahead.
+function createLoadReport() {
+    return { missingAssets: [], corrections: [], unknownKeys: [], warnings: [] };
+}
+
+function loadReportHasProblems(report) {
+    return report.missingAssets.length > 0 || report.corrections.length > 0 ||
+           report.unknownKeys.length > 0 || report.warnings.length > 0;
+}
+
+function reportUnknownKeys(object, kind, label, report) {
+    Object.keys(object)
+        .filter(key => !projectKeys[kind].includes(key))
+        .forEach(key => report.unknownKeys.push(`${label}: ${key}`));
+}
+
+// Bring project data up to PROJECT_VERSION. Throws if it isn't a project
+// at all.
+function migrateProject(data, report) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.images)) {
+        throw new Error('Invalid .montage file: project.json has no image list');
+    }
+    let version = data.version === undefined ? 1 : data.version;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Invalid .montage file: unknown version ${JSON.stringify(data.version)}`);
+    }
+    if (version > PROJECT_VERSION) {
+        report.warnings.push(`Saved by a newer version of Montage (project version ${version}); newer settings will be lost`);
+    }
+
+    while (projectMigrations[version]) {
+        data = projectMigrations[version](data);
+        version++;
+    }
+    return { ...data, version };
+}
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Check every field of migrated project data, replacing bad values with
+// defaults so nothing reaches Konva as NaN. Layers whose asset isn't listed
+// are reported as missing and left out.
+function validateProject(data, report) {
+    reportUnknownKeys(data, 'project', 'Project', report);
+
+    const assets = new Map();
+    (Array.isArray(data.assets) ? data.assets : []).forEach((asset, i) => {
+        if (!asset || typeof asset.id !== 'string' || typeof asset.filename !== 'string') {
+            report.corrections.push(`Asset ${i + 1}: no id or file name, ignored`);
+            return;
+        }
+        reportUnknownKeys(asset, 'asset', `Asset ${asset.filename}`, report);
+        let format = asset.format;
+        if (!imageFormatExtensions[format]) {
+            const ext = asset.filename.slice(asset.filename.lastIndexOf('.')).toLowerCase();
+            format = Object.keys(imageFormatExtensions).find(type => imageFormatExtensions[type] === ext) || 'image/jpeg';
+            report.corrections.push(`Asset ${asset.filename}: unknown format ${JSON.stringify(asset.format)}, using ${format}`);
+        }
+        let path;
+        if (asset.path !== undefined) {
+            const parts = typeof asset.path === 'string' ? asset.path.split('/') : [];
+            if (parts.length > 0 && parts.every(part => part && part !== '.' && part !== '..')) {
+                path = asset.path;
+            } else {
+                report.corrections.push(`Asset ${asset.filename}: invalid link path ${JSON.stringify(asset.path)}, ignored`);
+            }
+        }
+        assets.set(asset.id, { id: asset.id, filename: asset.filename, format, path });
+    });
+
+    const images = [];
+    data.images.forEach((imgData, i) => {
+        if (!imgData || typeof imgData !== 'object') {
+            report.corrections.push(`Layer ${i + 1}: not a layer, dropped`);
+            return;
+        }
+        const name = typeof imgData.name === 'string' ? imgData.name : `image-${i}`;
+        const label = `Layer ${i + 1} (${name})`;
+        reportUnknownKeys(imgData, 'layer', label, report);
+
+        const field = (key, fallback, isValid) => {
+            const value = imgData[key];
+            if (isValid(value)) return value;
+            report.corrections.push(`${label}: ${value === undefined ? 'missing' : 'invalid'} ${key}` +
+                                    `${value === undefined ? '' : ` (${JSON.stringify(value)})`}, set to ${JSON.stringify(fallback)}`);
+            return fallback;
+        };
+        const optional = (key, isValid) => imgData[key] === undefined ? undefined : field(key, undefined, isValid);
+        const nonZero = (value) => isFiniteNumber(value) && value !== 0;
+        const positive = (value) => isFiniteNumber(value) && value > 0;
+        const validCrop = (value) => value && typeof value === 'object' &&
+            ['top', 'right', 'bottom', 'left'].every(side => isFiniteNumber(value[side]) && value[side] >= 0);
+
+        const asset = assets.get(imgData.asset);
+        if (!asset) {
+            report.missingAssets.push(`${label}: asset ${JSON.stringify(imgData.asset)} is not listed`);
+            return;
+        }
+
+        let opacity = field('opacity', 1, isFiniteNumber);
+        if (opacity < 0 || opacity > 1) {
+            const clamped = Math.min(1, Math.max(0, opacity));
+            report.corrections.push(`${label}: opacity ${opacity} out of range, set to ${clamped}`);
+            opacity = clamped;
+        }
+
+        images.push({
+            asset,
+            id: field('id', generateImageId(), value => typeof value === 'string' && value.length > 0),
+            x: field('x', 0, isFiniteNumber),
+            y: field('y', 0, isFiniteNumber),
+            scaleX: field('scaleX', 1, nonZero),
+            scaleY: field('scaleY', 1, nonZero),
+            rotation: field('rotation', 0, isFiniteNumber),
+            cropBounds: { ...field('cropBounds', { top: 0, right: 0, bottom: 0, left: 0 }, validCrop) },
+            blendMode: field('blendMode', 'source-over', value => blendModes.some(m => m.value === value)),
+            opacity,
+            originalWidth: optional('originalWidth', positive),
+            originalHeight: optional('originalHeight', positive),
+            name: field('name', name, value => typeof value === 'string'),
+            metadata: field('metadata', null, value => value === undefined || value === null || typeof value === 'object') || null,
+            zIndex: field('zIndex', i, isFiniteNumber),
+            label,
+            index: i // in data.images
+        });
+    });
+
+    let artboardData = null;
+    if (data.artboard !== undefined && data.artboard !== null) {
+        const a = data.artboard;
+        if (a && typeof a === 'object' && isFiniteNumber(a.x) && isFiniteNumber(a.y) &&
+            isFiniteNumber(a.width) && a.width > 0 && isFiniteNumber(a.height) && a.height > 0) {
+            reportUnknownKeys(a, 'artboard', 'Artboard', report);
+            let aspect = a.aspect;
+            if (!artboardAspects.some(option => option.id === aspect)) {
+                report.corrections.push(`Artboard: unknown aspect ${JSON.stringify(aspect)}, set to "custom"`);
+                aspect = 'custom';
+            }
+            artboardData = { x: a.x, y: a.y, width: a.width, height: a.height, aspect };
+        } else {
+            report.corrections.push('Artboard: invalid position or size, removed');
+        }
+    }
+
+    return { version: data.version, images, artboard: artboardData, settings: validateDocumentSettings(data, report) };
+}
+
+// Name, view, background and selection. Anything invalid is dropped, which
+// leaves the current setting alone.
+function validateDocumentSettings(data, report) {
+    const settings = {};
+    if (typeof data.name === 'string' && data.name) settings.name = data.name;
+
+    const view = data.view;
+    if (view && typeof view === 'object' && isFiniteNumber(view.scale) && view.scale > 0 &&
+        isFiniteNumber(view.x) && isFiniteNumber(view.y)) {
+        reportUnknownKeys(view, 'view', 'View', report);
+        const scale = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, view.scale));
+        if (scale !== view.scale) report.corrections.push(`View: zoom ${view.scale} out of range, set to ${scale}`);
+        settings.view = { scale, x: view.x, y: view.y };
+    } else if (view !== undefined) {
+        report.corrections.push('View: invalid zoom or position, ignored');
+    }
+
+    if (data.background === 'light' || data.background === 'dark') {
+        settings.background = data.background;
+    } else if (data.background !== undefined) {
+        report.corrections.push(`Background: unknown value ${JSON.stringify(data.background)}, ignored`);
+    }
+
+    if (typeof data.selection === 'string') settings.selection = data.selection;
+    // The rest of info is rewritten on every save
+    if (data.info && typeof data.info.created === 'string') settings.created = data.info.created;
+    return settings;
+}
+
+// Project folders keep the view and selection, which change with every
+// save, in view.json next to project.json, so version control can ignore
+// them. Split project data into the two files' contents.
+const folderViewKeys = ['view', 'selection'];
+
+function splitFolderViewData(data) {
+    const project = { ...data };
+    const view = {};
+    folderViewKeys.forEach(key => {
+        if (key in project) view[key] = project[key];
+        delete project[key];
+    });
+    return { project, view };
+}
+
+// Put a project folder's view.json text (null when there is none) back into
+// its project.json data. A damaged view.json only loses the view.
+function mergeFolderViewData(data, viewText) {
+    if (viewText === null) return data;
+    let view;
+    try {
+        view = JSON.parse(viewText);
+    } catch (err) {
+        return data;
+    }
+    const merged = { ...data };
+    folderViewKeys.forEach(key => {
+        if (view && typeof view === 'object' && key in view) merged[key] = view[key];
+    });
+    return merged;
+}
+
+// Migrate and validate parsed project.json data. Returns the project and
+// the load report; throws only when it isn't a project at all.
+function checkProjectData(data) {
+    const report = createLoadReport();
+    const project = validateProject(migrateProject(data, report), report);
+    return { project, report };
+}
+
+// A layer left out because its image wasn't found (or found is false) or
+// couldn't be decoded
+function reportMissingAsset(imgData, found, report) {
+    const { asset } = imgData;
+    const where = asset.path ? `linked file ${asset.path}` : `images/${asset.filename}`;
+    report.missingAssets.push(`${imgData.label}: ${where} is ${found ? 'not a readable image' : 'missing'}`);
+}
+
+// The state of a validated layer once its image is decoded, in the form
+// captureState() uses. A crop that leaves nothing of the image is reset.
+function createLayerState(imgData, imageRef, report) {
+    const originalWidth = imgData.originalWidth || imageRef.width;
+    const originalHeight = imgData.originalHeight || imageRef.height;
+    const { cropBounds } = imgData;
+    if (cropBounds.left + cropBounds.right >= originalWidth || cropBounds.top + cropBounds.bottom >= originalHeight) {
+        report.corrections.push(`${imgData.label}: crop leaves nothing visible, reset`);
+        Object.assign(cropBounds, { top: 0, right: 0, bottom: 0, left: 0 });
+    }
+
+    return {
+        id: imgData.id,
+        imageRef,
+        originalWidth,
+        originalHeight,
+        x: imgData.x,
+        y: imgData.y,
+        scaleX: imgData.scaleX,
+        scaleY: imgData.scaleY,
+        rotation: imgData.rotation,
+        cropBounds,
+        blendMode: imgData.blendMode,
+        opacity: imgData.opacity,
+        name: imgData.name,
+        metadata: imgData.metadata,
+        zIndex: imgData.zIndex
+    };
+}
+
+// The page loads this as a script; the Node tools require it
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        blendModes,
+        artboardAspects,
+        imageFormatExtensions,
+        backgroundColors,
+        MIN_ZOOM,
+        MAX_ZOOM,
+        generateImageId,
+        PROJECT_VERSION,
+        createLoadReport,
+        loadReportHasProblems,
+        migrateProject,
+        validateProject,
+        splitFolderViewData,
+        mergeFolderViewData,
+        checkProjectData,
+        reportMissingAsset,
+        createLayerState
+    };
+}
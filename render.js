@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+// Render .montage files and project folders without a browser. Projects are
+// read with the page's own schema code (project.js) and laid out and
+// composited with its export code (compositor.js), drawn on a Skia canvas
+// (@napi-rs/canvas). Size, crop, placement and metadata come from the same
+// code as the browser export; pixels are comparable within the tolerance
+// checked by test/render-compare.js, not byte-identical.
+// Usage: node render.js [options] <project> <output>
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const JSZip = require('jszip');
+const { backgroundColors, mergeFolderViewData, checkProjectData, reportMissingAsset, createLayerState } = require('./project.js');
+const {
+    computeExportLayout, getLayerDescriptors, drawComposite, flattenCanvas,
+    encodeTiledPng, buildExportMetadata, embedMetadata
+} = require('./compositor.js');
+
+// Formats the Node renderer can encode. Layered formats (ORA, PSD) need the
+// browser.
+const FORMATS = {
+    jpeg: { type: 'image/jpeg', ext: '.jpg', alpha: false, lossless: false, metadata: true },
+    png: { type: 'image/png', ext: '.png', alpha: true, lossless: true, metadata: true },
+    webp: { type: 'image/webp', ext: '.webp', alpha: true, lossless: false, metadata: true },
+    avif: { type: 'image/avif', ext: '.avif', alpha: true, lossless: false, metadata: false },
+};
+
+// Larger outputs only fit through the tiled PNG encoder
+const MAX_CANVAS_DIMENSION = 32767;
+
+function getFormat(name) {
+    const wanted = String(name).toLowerCase().replace(/^\./, '');
+    const key = wanted === 'jpg' ? 'jpeg' : wanted.replace(/^image\//, '');
+    if (!FORMATS[key]) {
+        throw new Error(`The Node renderer can't write ${name}; use jpeg, png, webp or avif; layered formats need the browser export`);
+    }
+    return FORMATS[key];
+}
+
+// Files of a project by path, as Buffers (null when missing): a .montage
+// archive (path or Buffer) or a project folder
+async function openProjectFiles(input) {
+    if (typeof input === 'string' && fs.statSync(input).isDirectory()) {
+        return async (file) => {
+            const filePath = path.join(input, ...file.split('/'));
+            return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+        };
+    }
+
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(typeof input === 'string' ? fs.readFileSync(input) : input);
+    } catch (err) {
+        throw new Error('Invalid project: not a .montage archive');
+    }
+    return async (file) => {
+        const entry = zip.file(file);
+        return entry ? await entry.async('nodebuffer') : null;
+    };
+}
+
+// Read a project into layer states, as the page's readProjectData() does.
+// Linked images are looked up in sourceFolder, when given.
+async function loadProjectFile(input, { sourceFolder = null } = {}) {
+    const readFile = await openProjectFiles(input);
+    const projectFile = await readFile('project.json');
+    if (!projectFile) {
+        throw new Error('Invalid project: missing project.json');
+    }
+
+    let projectData;
+    try {
+        projectData = JSON.parse(projectFile.toString('utf8'));
+    } catch (err) {
+        throw new Error('Invalid project: project.json is not valid JSON');
+    }
+    const viewFile = await readFile('view.json');
+    projectData = mergeFolderViewData(projectData, viewFile && viewFile.toString('utf8'));
+
+    const { project, report } = checkProjectData(projectData);
+    const layers = [];
+
+    // Decode each asset once and share the image between its layers
+    const decoded = new Map();
+    for (const imgData of project.images) {
+        const { asset } = imgData;
+        if (!decoded.has(asset.id)) {
+            let data = await readFile(`images/${asset.filename}`);
+            if (!data && asset.path && sourceFolder) {
+                const linkedPath = path.join(sourceFolder, ...asset.path.split('/'));
+                if (fs.existsSync(linkedPath)) {
+                    data = fs.readFileSync(linkedPath);
+                    const hash = crypto.createHash('sha256').update(data).digest('hex');
+                    if (/^[0-9a-f]{64}$/.test(asset.id) && hash !== asset.id) {
+                        report.warnings.push(`Linked file ${asset.path} has changed since the project was saved`);
+                    }
+                }
+            }
+
+            let img = null;
+            if (data) {
+                try {
+                    img = await loadImage(data);
+                } catch (err) {
+                    console.warn(`Failed to load image: ${asset.filename}`);
+                }
+            }
+            decoded.set(asset.id, { img, found: Boolean(data) });
+        }
+
+        const { img, found } = decoded.get(asset.id);
+        if (!img) {
+            reportMissingAsset(imgData, found, report);
+            continue;
+        }
+        layers.push(createLayerState(imgData, img, report));
+    }
+
+    return { layers, artboard: project.artboard, settings: project.settings, report };
+}
+
+// Render a project to an encoded image. options are those of the page's
+// montage.renderComposite() (format, quality, scale, longEdge, width and
+// height, background, crop, includeGps), plus sourceFolder for linked
+// images and name, the project name written into the metadata.
+// Resolves with { data, width, height, report }; data is a Buffer.
+async function renderProject(input, options = {}) {
+    const { layers, artboard, settings, report } = await loadProjectFile(input, options);
+    if (layers.length === 0) throw new Error('No images to export');
+
+    const format = getFormat(options.format || 'jpeg');
+    const quality = format.lossless ? undefined : (options.quality ?? 0.9);
+
+    const exportSettings = { trim: options.crop || 'geometric', sizeMode: 'auto', scale: 1 };
+    if (!['none', 'geometric', 'alpha'].includes(exportSettings.trim)) {
+        throw new Error(`Unknown crop mode: ${options.crop}`);
+    }
+    if (options.longEdge) {
+        Object.assign(exportSettings, { sizeMode: 'long-edge', longEdge: options.longEdge });
+    } else if (options.width && options.height) {
+        Object.assign(exportSettings, { sizeMode: 'exact', width: options.width, height: options.height });
+    } else if (options.scale) {
+        exportSettings.scale = options.scale;
+    }
+
+    // As montage.renderComposite() in the page: the artboard is the region,
+    // and the saved zoom doesn't change the size
+    const layout = computeExportLayout(layers, exportSettings, {
+        region: artboard,
+        minScale: 1,
+        createCanvas
+    });
+    const { outputWidth: width, outputHeight: height } = layout;
+
+    const color = options.background && options.background !== 'transparent' ? options.background : null;
+    const background = color || (format.alpha ? null : backgroundColors[settings.background || 'dark']);
+
+    const descriptors = getLayerDescriptors(layers, layout);
+    let blob;
+    if (format.type === 'image/png') {
+        // Streamed in bands, so memory stays bounded at any size
+        const tileCanvas = createCanvas(1, 1);
+        blob = await encodeTiledPng({
+            width,
+            height,
+            renderTile: (tile) => {
+                tileCanvas.width = tile.width;
+                tileCanvas.height = tile.height;
+                drawComposite(tileCanvas.getContext('2d'), descriptors, tile);
+                if (background) flattenCanvas(tileCanvas, background);
+                return new Uint8Array(tileCanvas.getContext('2d').getImageData(0, 0, tile.width, tile.height).data.buffer);
+            }
+        });
+    } else {
+        if (width > MAX_CANVAS_DIMENSION || height > MAX_CANVAS_DIMENSION) {
+            throw new Error(`${width}×${height} px is too large to render in one piece. Export as PNG, or choose a smaller size.`);
+        }
+        const canvas = createCanvas(width, height);
+        drawComposite(canvas.getContext('2d'), descriptors, { x: 0, y: 0, width, height });
+        if (background) flattenCanvas(canvas, background);
+        // AVIF takes its settings as an object (a plain number is ignored),
+        // and @napi-rs/canvas runs its quality the other way: higher values
+        // give smaller, coarser files. test/render-sizes.js checks the direction.
+        const level = Math.round(quality * 100);
+        const encoded = await canvas.encode(format.type.slice('image/'.length),
+            format.type === 'image/avif' ? { quality: 100 - level } : level);
+        blob = new Blob([encoded], { type: format.type });
+    }
+
+    if (format.metadata) {
+        const projectName = options.name || settings.name || (typeof input === 'string' ? path.basename(input) : 'project');
+        const metadata = buildExportMetadata(layers, {
+            metadataSource: 'auto',
+            includeGps: options.includeGps !== false
+        }, projectName);
+        blob = await embedMetadata(blob, format, metadata, width, height);
+    }
+
+    return { data: Buffer.from(await blob.arrayBuffer()), width, height, report };
+}
+
+const USAGE = `Usage: node render.js [options] <project> <output>
+
+<project> is a .montage file or a project folder. The format follows the
+output's extension unless --format is given.
+
+Options:
+  --format <type>        jpeg, png, webp or avif
+  --quality <0-1>        quality for lossy formats (default: 0.9)
+  --scale <n>            multiplier on native resolution
+  --long-edge <px>       fit the long edge to this many pixels
+  --background <color>   CSS color, or "transparent" (PNG, WebP, AVIF);
+                         default: transparent for PNG, WebP and AVIF,
+                         otherwise the project's light/dark background
+  --crop <mode>          none, geometric (default) or alpha
+  --no-gps               leave GPS out of the metadata
+  --source-folder <dir>  where to find linked images
+  -h, --help             show this help`;
+
+function fail(message) {
+    console.error(message);
+    console.error(`\n${USAGE}`);
+    process.exit(1);
+}
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                format: { type: 'string' },
+                quality: { type: 'string', default: '0.9' },
+                scale: { type: 'string' },
+                'long-edge': { type: 'string' },
+                background: { type: 'string' },
+                crop: { type: 'string', default: 'geometric' },
+                'no-gps': { type: 'boolean', default: false },
+                'source-folder': { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false },
+            },
+        });
+    } catch (err) {
+        fail(err.message);
+    }
+    const { values, positionals } = parsed;
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (positionals.length !== 2) fail('Expected a project and an output file');
+
+    const [input, output] = positionals;
+    const format = values.format || path.extname(output) || 'jpeg';
+    try {
+        getFormat(format);
+    } catch (err) {
+        fail(err.message);
+    }
+
+    const quality = Number(values.quality);
+    if (!(quality > 0 && quality <= 1)) fail(`--quality must be between 0 and 1, got ${values.quality}`);
+
+    if (values.scale !== undefined && values['long-edge'] !== undefined) {
+        fail('--scale and --long-edge can\'t be used together');
+    }
+    const scale = values.scale === undefined ? undefined : Number(values.scale);
+    if (scale !== undefined && !(scale > 0)) fail(`--scale must be a positive number, got ${values.scale}`);
+    const longEdge = values['long-edge'] === undefined ? undefined : Number(values['long-edge']);
+    if (longEdge !== undefined && !(Number.isInteger(longEdge) && longEdge > 0)) {
+        fail(`--long-edge must be a positive whole number of pixels, got ${values['long-edge']}`);
+    }
+    if (!['none', 'geometric', 'alpha'].includes(values.crop)) fail(`Unknown crop mode: ${values.crop}`);
+
+    const { data, width, height, report } = await renderProject(input, {
+        format,
+        quality,
+        scale,
+        longEdge,
+        background: values.background,
+        crop: values.crop,
+        includeGps: !values['no-gps'],
+        sourceFolder: values['source-folder'] || null,
+    });
+
+    [...report.missingAssets, ...report.corrections, ...report.unknownKeys, ...report.warnings]
+        .forEach(message => console.warn(`warning: ${message}`));
+    fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+    fs.writeFileSync(output, data);
+    console.log(`${output} (${width}×${height})`);
+}
+
+module.exports = { FORMATS, loadProjectFile, renderProject };
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error(err.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,117 @@
+// Shared by the tests: sample projects, decoding and a small check runner.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const JSZip = require('jszip');
+
+async function createImage(width, height, draw) {
+    const canvas = createCanvas(width, height);
+    draw(canvas.getContext('2d'));
+    return await canvas.encode('png');
+}
+
+function layer(asset, props) {
+    return {
+        asset, x: 0, y: 0, scaleX: 1, scaleY: 1, rotation: 0,
+        cropBounds: { top: 0, right: 0, bottom: 0, left: 0 },
+        blendMode: 'source-over', opacity: 1, ...props
+    };
+}
+
+// Projects covering scaling, rotation, flips, crops, opacity, blend modes,
+// transparency and an artboard
+async function writeFixtures(dir) {
+    const photo = await createImage(640, 480, ctx => {
+        const gradient = ctx.createLinearGradient(0, 0, 640, 480);
+        gradient.addColorStop(0, '#d04020');
+        gradient.addColorStop(1, '#2040d0');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, 640, 480);
+        ctx.fillStyle = '#f0e060';
+        ctx.fillRect(160, 120, 320, 240);
+    });
+    const cutout = await createImage(300, 300, ctx => {
+        ctx.fillStyle = 'rgba(40, 200, 90, 0.8)';
+        ctx.beginPath();
+        ctx.arc(150, 150, 140, 0, Math.PI * 2);
+        ctx.fill();
+    });
+
+    const assets = [photo, cutout].map(data => {
+        const id = crypto.createHash('sha256').update(data).digest('hex');
+        return { id, filename: `${id}.png`, format: 'image/png', data };
+    });
+    const [p, c] = assets.map(asset => asset.id);
+
+    const projects = {
+        'basic': {
+            images: [
+                layer(p, { id: 'a', name: 'photo.png', x: 320, y: 240, originalWidth: 640, originalHeight: 480, zIndex: 0 }),
+                layer(c, { id: 'b', name: 'cutout.png', x: 600, y: 400, originalWidth: 300, originalHeight: 300, zIndex: 1 }),
+            ],
+        },
+        'transformed': {
+            images: [
+                layer(p, { id: 'a', name: 'photo.png', x: 300, y: 200, scaleX: -0.75, scaleY: 0.75, rotation: 17, originalWidth: 640, originalHeight: 480,
+                           cropBounds: { top: 30, right: 0, bottom: 10, left: 50 }, zIndex: 0 }),
+                layer(p, { id: 'b', name: 'photo copy.png', x: 520, y: 330, scaleX: 0.5, scaleY: 0.5, rotation: -40, opacity: 0.6,
+                           blendMode: 'multiply', originalWidth: 640, originalHeight: 480, zIndex: 1 }),
+                layer(c, { id: 'c', name: 'cutout.png', x: 200, y: 420, scaleX: 1.3, scaleY: 1.3, blendMode: 'screen', originalWidth: 300, originalHeight: 300, zIndex: 2 }),
+            ],
+        },
+        'artboard': {
+            images: [
+                layer(p, { id: 'a', name: 'photo.png', x: 320, y: 240, originalWidth: 640, originalHeight: 480, zIndex: 0 }),
+                layer(c, { id: 'b', name: 'cutout.png', x: 500, y: 150, opacity: 0.5, blendMode: 'overlay', originalWidth: 300, originalHeight: 300, zIndex: 1 }),
+            ],
+            artboard: { x: 100, y: 50, width: 500, height: 500, aspect: '1:1' },
+        },
+    };
+
+    for (const [name, project] of Object.entries(projects)) {
+        const zip = new JSZip();
+        const used = assets.filter(asset => project.images.some(image => image.asset === asset.id));
+        zip.file('project.json', JSON.stringify({
+            version: 7,
+            name,
+            background: 'dark',
+            assets: used.map(({ id, filename, format }) => ({ id, filename, format })),
+            images: project.images,
+            artboard: project.artboard || null,
+        }));
+        used.forEach(asset => zip.file(`images/${asset.filename}`, asset.data, { compression: 'STORE' }));
+        fs.writeFileSync(path.join(dir, `${name}.montage`), await zip.generateAsync({ type: 'nodebuffer' }));
+    }
+    return Object.keys(projects);
+}
+
+// Decode an encoded image into its RGBA pixels
+async function readPixels(data) {
+    const image = await loadImage(data);
+    const canvas = createCanvas(image.width, image.height);
+    canvas.getContext('2d').drawImage(image, 0, 0);
+    return { width: image.width, height: image.height, data: canvas.getContext('2d').getImageData(0, 0, image.width, image.height).data };
+}
+
+// Run named checks in order, printing ok or FAIL for each. A check fails by
+// throwing (node:assert). Sets the exit code when any failed.
+async function runChecks(checks) {
+    let failures = 0;
+    for (const [name, check] of checks) {
+        try {
+            await check();
+            console.log(`ok   ${name}`);
+        } catch (err) {
+            console.log(`FAIL ${name}: ${err.message}`);
+            failures++;
+        }
+    }
+    if (failures > 0) {
+        console.log(`${failures} of ${checks.length} check(s) failed`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { createImage, writeFixtures, readPixels, runChecks };
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+// Migration and validation of project.json (project.js), as used by the page,
+// render.js and inspect.js.
+// Usage: node test/project-schema.js
+
+const assert = require('assert/strict');
+const {
+    PROJECT_VERSION, checkProjectData, createLayerState, splitFolderViewData, mergeFolderViewData
+} = require('../project.js');
+const { runChecks } = require('./helpers.js');
+
+const asset = { id: 'a'.repeat(64), filename: `${'a'.repeat(64)}.png`, format: 'image/png' };
+
+// A current-version project with one layer, changed by props
+function project(layerProps = {}, props = {}) {
+    return {
+        version: PROJECT_VERSION,
+        assets: [asset],
+        images: [{
+            asset: asset.id, id: 'a', name: 'photo.png', x: 10, y: 20, scaleX: 1, scaleY: 1, rotation: 0,
+            cropBounds: { top: 0, right: 0, bottom: 0, left: 0 }, blendMode: 'source-over', opacity: 1,
+            originalWidth: 640, originalHeight: 480, zIndex: 0, ...layerProps
+        }],
+        artboard: null,
+        ...props
+    };
+}
+
+runChecks([
+    ['a version 1 project is migrated to the current version', () => {
+        const { project: migrated, report } = checkProjectData({
+            images: [
+                { filename: 'one.jpg', x: 5, y: 6, scaleX: 2, scaleY: 2, rotation: 90, name: 'one.jpg', originalWidth: 100, originalHeight: 50 },
+                { filename: 'one.jpg', x: 7, y: 8, scaleX: 1, scaleY: 1, rotation: 0, name: 'copy.jpg', originalWidth: 100, originalHeight: 50 }
+            ]
+        });
+        assert.equal(migrated.version, PROJECT_VERSION);
+        assert.deepEqual(report, { missingAssets: [], corrections: [], unknownKeys: [], warnings: [] });
+        assert.equal(migrated.images.length, 2);
+        const [first, second] = migrated.images;
+        assert.deepEqual(first.asset, { id: 'one.jpg', filename: 'one.jpg', format: 'image/jpeg', path: undefined });
+        assert.equal(second.asset, first.asset, 'layers sharing a file share one asset');
+        assert.deepEqual(first.cropBounds, { top: 0, right: 0, bottom: 0, left: 0 });
+        assert.equal(first.blendMode, 'source-over');
+        assert.equal(first.opacity, 1);
+        assert.deepEqual([first.zIndex, second.zIndex], [0, 1]);
+        assert.ok(first.id && first.id !== second.id, 'each layer gets an id');
+    }],
+
+    ['a current project loads without problems', () => {
+        const { project: loaded, report } = checkProjectData(project());
+        assert.deepEqual(report, { missingAssets: [], corrections: [], unknownKeys: [], warnings: [] });
+        assert.equal(loaded.images[0].x, 10);
+    }],
+
+    ['out-of-range opacity is clamped and reported', () => {
+        const { project: loaded, report } = checkProjectData(project({ opacity: 1.5 }));
+        assert.equal(loaded.images[0].opacity, 1);
+        assert.deepEqual(report.corrections, ['Layer 1 (photo.png): opacity 1.5 out of range, set to 1']);
+    }],
+
+    ['invalid numbers and blend modes get defaults', () => {
+        const { project: loaded, report } = checkProjectData(project({ x: 'left', scaleX: 0, blendMode: 'glow' }));
+        const [layer] = loaded.images;
+        assert.deepEqual([layer.x, layer.scaleX, layer.blendMode], [0, 1, 'source-over']);
+        assert.equal(report.corrections.length, 3);
+    }],
+
+    ['unknown fields are reported', () => {
+        const { report } = checkProjectData(project({ sparkle: true }, { theme: 'blue' }));
+        assert.deepEqual(report.unknownKeys, ['Project: theme', 'Layer 1 (photo.png): sparkle']);
+    }],
+
+    ['a layer whose asset is not listed is left out', () => {
+        const { project: loaded, report } = checkProjectData(project({ asset: 'b'.repeat(64) }));
+        assert.equal(loaded.images.length, 0);
+        assert.equal(report.missingAssets.length, 1);
+    }],
+
+    ['a crop that leaves nothing visible is reset', () => {
+        const { project: loaded, report } = checkProjectData(project({ cropBounds: { top: 0, right: 400, bottom: 0, left: 300 } }));
+        const layer = createLayerState(loaded.images[0], { width: 640, height: 480 }, report);
+        assert.deepEqual(layer.cropBounds, { top: 0, right: 0, bottom: 0, left: 0 });
+        assert.deepEqual(report.corrections, ['Layer 1 (photo.png): crop leaves nothing visible, reset']);
+    }],
+
+    ['an invalid artboard is removed', () => {
+        const { project: loaded, report } = checkProjectData(project({}, { artboard: { x: 0, y: 0, width: -5, height: 10, aspect: '1:1' } }));
+        assert.equal(loaded.artboard, null);
+        assert.deepEqual(report.corrections, ['Artboard: invalid position or size, removed']);
+    }],
+
+    ['a project from a newer version loads with a warning', () => {
+        const { report } = checkProjectData(project({}, { version: PROJECT_VERSION + 1 }));
+        assert.equal(report.warnings.length, 1);
+    }],
+
+    ['data that is not a project throws', () => {
+        assert.throws(() => checkProjectData({ name: 'no images' }), /no image list/);
+        assert.throws(() => checkProjectData(project({}, { version: 'seven' })), /unknown version/);
+    }],
+
+    ['folder projects keep the view and selection in view.json', () => {
+        const data = project({}, { view: { scale: 2, x: 1, y: 2 }, selection: 'a' });
+        const { project: stored, view } = splitFolderViewData(data);
+        assert.ok(!('view' in stored) && !('selection' in stored));
+        assert.deepEqual(view, { view: { scale: 2, x: 1, y: 2 }, selection: 'a' });
+        assert.deepEqual(mergeFolderViewData(stored, JSON.stringify(view)), data);
+        assert.deepEqual(mergeFolderViewData(stored, '{ damaged'), stored);
+        assert.deepEqual(mergeFolderViewData(stored, null), stored);
+    }]
+]);
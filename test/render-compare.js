@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// Compare the Node renderer (render.js) with the browser export
+// (batch-export.js) pixel by pixel. The browser and Skia resample, blend and
+// encode differently, so output is pixel-comparable, not byte-identical:
+// sizes must match exactly, and the pixels within TOLERANCE.
+// Both sides export PNG, so lossy encoders don't add to the difference.
+// Skips (exit 0) when Playwright can't launch a browser.
+// Usage: node test/render-compare.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { renderProject } = require('../render.js');
+const { writeFixtures, readPixels } = require('./helpers.js');
+
+// Mean difference per channel, in levels of 255, and the share of pixels
+// with any channel further off than outlierLevels (resampled edges)
+const TOLERANCE = { meanLevels: 1, outlierLevels: 16, outlierShare: 0.005 };
+
+const appDir = path.join(__dirname, '..');
+
+// Difference between two decoded images of the same size
+function comparePixels(a, b) {
+    let total = 0;
+    let outliers = 0;
+    for (let i = 0; i < a.data.length; i += 4) {
+        let worst = 0;
+        for (let channel = 0; channel < 4; channel++) {
+            const diff = Math.abs(a.data[i + channel] - b.data[i + channel]);
+            total += diff;
+            worst = Math.max(worst, diff);
+        }
+        if (worst > TOLERANCE.outlierLevels) outliers++;
+    }
+    const pixels = a.data.length / 4;
+    return { meanLevels: total / a.data.length, outlierShare: outliers / pixels };
+}
+
+async function main() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'montage-render-compare-'));
+    const inputDir = path.join(dir, 'projects');
+    const browserDir = path.join(dir, 'browser');
+    fs.mkdirSync(inputDir);
+
+    try {
+        const names = await writeFixtures(inputDir);
+
+        const batch = spawnSync(process.execPath, [path.join(appDir, 'batch-export.js'), '--format', 'png', inputDir, browserDir], { encoding: 'utf8' });
+        const reportPath = path.join(browserDir, 'batch-report.json');
+        const report = fs.existsSync(reportPath) ? JSON.parse(fs.readFileSync(reportPath, 'utf8')) : null;
+        if (!report || !report.browser) {
+            console.log(`SKIP: no browser export (${(batch.stderr || batch.stdout || '').trim().split('\n')[0]})`);
+            return;
+        }
+        console.log(`Browser: ${report.browser}`);
+
+        let failures = 0;
+        for (const name of names) {
+            const browserFile = path.join(browserDir, `${name}.png`);
+            if (!fs.existsSync(browserFile)) {
+                console.log(`FAIL ${name}: the browser export failed`);
+                failures++;
+                continue;
+            }
+            const node = await readPixels((await renderProject(path.join(inputDir, `${name}.montage`), { format: 'png' })).data);
+            const browser = await readPixels(fs.readFileSync(browserFile));
+
+            if (node.width !== browser.width || node.height !== browser.height) {
+                console.log(`FAIL ${name}: ${node.width}×${node.height}, browser ${browser.width}×${browser.height}`);
+                failures++;
+                continue;
+            }
+            const { meanLevels, outlierShare } = comparePixels(node, browser);
+            const ok = meanLevels <= TOLERANCE.meanLevels && outlierShare <= TOLERANCE.outlierShare;
+            console.log(`${ok ? 'ok  ' : 'FAIL'} ${name}: ${node.width}×${node.height}, mean difference ${meanLevels.toFixed(3)} levels, ` +
+                        `${(outlierShare * 100).toFixed(3)}% of pixels off by more than ${TOLERANCE.outlierLevels}`);
+            if (!ok) failures++;
+        }
+
+        if (failures > 0) {
+            console.log(`${failures} of ${names.length} project(s) outside the tolerance`);
+            process.exitCode = 1;
+        }
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = { TOLERANCE, comparePixels };
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+// Output of the Node renderer (render.js) on the sample projects: sizes for
+// each crop and size mode, transparency, and lossy quality. Needs no browser.
+// Usage: node test/render-sizes.js
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { renderProject } = require('../render.js');
+const { writeFixtures, readPixels, runChecks } = require('./helpers.js');
+
+// [width, height] for each project and crop mode at native resolution. An
+// artboard fixes the region, so the crop mode doesn't apply.
+const NATIVE_SIZES = {
+    'basic': { none: [750, 550], geometric: [750, 550], alpha: [640, 480] },
+    'transformed': { none: [715, 637], geometric: [715, 637], alpha: [443, 210] },
+    'artboard': { none: [500, 500], geometric: [500, 500], alpha: [500, 500] },
+};
+
+// Mean difference per channel, in levels of 255
+function meanDifference(a, b) {
+    let total = 0;
+    for (let i = 0; i < a.data.length; i++) total += Math.abs(a.data[i] - b.data[i]);
+    return total / a.data.length;
+}
+
+async function main() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'montage-render-sizes-'));
+    try {
+        await writeFixtures(dir);
+        const render = async (name, options) => await renderProject(path.join(dir, `${name}.montage`), { format: 'png', ...options });
+        const size = ({ width, height }) => [width, height];
+
+        await runChecks([
+            ...Object.entries(NATIVE_SIZES).flatMap(([name, sizes]) => Object.entries(sizes).map(([crop, expected]) =>
+                [`${name}, ${crop} crop: ${expected.join('×')}`, async () => {
+                    const result = await render(name, { crop });
+                    assert.deepEqual(size(result), expected);
+                    assert.deepEqual(size(await readPixels(result.data)), expected, 'the encoded image has the reported size');
+                }]
+            )),
+
+            ['long edge scales the native size', async () => {
+                assert.deepEqual(size(await render('basic', { longEdge: 1000 })), [1000, 733]);
+                assert.deepEqual(size(await render('transformed', { longEdge: 1000 })), [1000, 891]);
+                assert.deepEqual(size(await render('artboard', { longEdge: 1000 })), [1000, 1000]);
+            }],
+
+            ['exact size is exact, whatever the aspect', async () => {
+                for (const name of Object.keys(NATIVE_SIZES)) {
+                    assert.deepEqual(size(await render(name, { width: 1080, height: 1350 })), [1080, 1350]);
+                }
+            }],
+
+            ['scale multiplies the native size', async () => {
+                assert.deepEqual(size(await render('basic', { scale: 0.5 })), [375, 275]);
+                assert.deepEqual(size(await render('artboard', { scale: 2 })), [1000, 1000]);
+            }],
+
+            ['PNG keeps uncovered areas transparent unless given a background', async () => {
+                const corner = async (options) => {
+                    const pixels = await readPixels((await render('basic', { crop: 'none', ...options })).data);
+                    return pixels.data[(pixels.width - 1) * 4 + 3];
+                };
+                assert.equal(await corner({}), 0);
+                assert.equal(await corner({ background: '#336699' }), 255);
+            }],
+
+            ...['jpeg', 'webp', 'avif'].map(format => [`${format} quality: higher is closer to lossless`, async () => {
+                // On a solid background, so only the encoder differs
+                const options = { crop: 'none', background: '#808080' };
+                const lossless = await readPixels((await render('transformed', options)).data);
+                const difference = async (quality) =>
+                    meanDifference(lossless, await readPixels((await render('transformed', { ...options, format, quality })).data));
+                const low = await difference(0.2);
+                const high = await difference(0.95);
+                assert.ok(high < low, `difference at 0.95 (${high.toFixed(2)}) is not below that at 0.2 (${low.toFixed(2)})`);
+            }]),
+        ]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
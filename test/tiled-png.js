@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// The streaming PNG encoder (encodeTiledPng() in compositor.js) that tiled
+// browser exports and render.js use: an image spanning several tiles and
+// bands must decode to exactly the pixels rendered.
+// Usage: node test/tiled-png.js
+
+const assert = require('assert/strict');
+const { encodeTiledPng } = require('../compositor.js');
+const { readPixels, runChecks } = require('./helpers.js');
+
+// Wider than one tile (4096 px) and taller than two bands (512 px)
+const WIDTH = 4100;
+const HEIGHT = 1100;
+
+function pixelAt(x, y) {
+    return [x & 0xff, y & 0xff, (x * 7 + y * 3) & 0xff, 255];
+}
+
+function renderTile(tile) {
+    const pixels = new Uint8ClampedArray(tile.width * tile.height * 4);
+    for (let y = 0; y < tile.height; y++) {
+        for (let x = 0; x < tile.width; x++) {
+            pixels.set(pixelAt(tile.x + x, tile.y + y), (y * tile.width + x) * 4);
+        }
+    }
+    return pixels;
+}
+
+runChecks([
+    ['tiles and bands decode to the rendered pixels', async () => {
+        const tiles = [];
+        const progress = [];
+        const blob = await encodeTiledPng({
+            width: WIDTH,
+            height: HEIGHT,
+            renderTile: (tile) => {
+                tiles.push(tile);
+                return renderTile(tile);
+            },
+            onProgress: (fraction) => progress.push(fraction)
+        });
+        assert.equal(blob.type, 'image/png');
+        assert.equal(tiles.length, 2 * 3);
+        assert.ok(progress.length > 0 && progress.every((fraction, i) => fraction >= (progress[i - 1] ?? 0)));
+
+        const decoded = await readPixels(Buffer.from(await blob.arrayBuffer()));
+        assert.deepEqual([decoded.width, decoded.height], [WIDTH, HEIGHT]);
+        for (let y = 0; y < HEIGHT; y++) {
+            for (let x = 0; x < WIDTH; x++) {
+                const i = (y * WIDTH + x) * 4;
+                const expected = pixelAt(x, y);
+                if (decoded.data[i] !== expected[0] || decoded.data[i + 1] !== expected[1] ||
+                    decoded.data[i + 2] !== expected[2] || decoded.data[i + 3] !== expected[3]) {
+                    assert.fail(`pixel ${x}, ${y} is ${[...decoded.data.subarray(i, i + 4)]}, expected ${expected}`);
+                }
+            }
+        }
+    }],
+
+    ['cancelling rejects with an AbortError', async () => {
+        await assert.rejects(
+            encodeTiledPng({ width: 16, height: 16, renderTile, isCancelled: () => true }),
+            { name: 'AbortError' }
+        );
+    }]
+]);